@@ -7,14 +7,31 @@
 
 import {
     generateParticipants,
+    createRandom,
+    randomSeed,
     generateRandomPreferences,
-    runGaleShapley,
-    findBlockingPairs,
-    computeMetrics,
+    generateRoommates,
+    generateRandomRoommatePreferences,
+    partnersOf,
+    flattenPreferences,
     applySuggestion,
-    analyzeMatching,
-    generateSuggestions
+    compareMatchings,
+    compareSnapshots,
+    renameParticipant,
+    moveToRank
 } from './smp.js';
+import {
+    exportInstanceJSON,
+    exportInstanceCSV,
+    exportExperimentsCSV,
+    parseInstanceJSON,
+    parseInstanceCSV,
+    encodePermalink,
+    decodePermalink,
+    validateInstance
+} from './io.js';
+import { createSolver } from './solver.js';
+import { EXPERIMENT_METRICS, summarizeExperiments } from './experiments.js';
 
 // Global application state
 let appState = {
@@ -25,12 +42,108 @@ let appState = {
     currentBlockingPairs: [],
     currentAnalysis: null,
     currentSuggestions: [],
-    participantCount: 5  // Match the HTML default
+    stability: { notion: 'weak', exists: true },
+    mode: 'one-to-one',  // or 'many-to-one' for Hospitals/Residents, 'roommates' for a single pool
+    capacities: {},
+    sideLabels: { A: 'Group A', B: 'Group B' },  // Display names of the two sides
+    attributes: {},  // Optional {name: value} details per participant of the two groups
+    roommates: { pool: [], preferences: {}, attributes: {} },
+    currentOddParties: [],
+    diagnostics: [],  // Problems validateInstance finds in the instance being edited
+    lattice: null,  // All stable matchings of a one-to-one instance, with the selected node
+    pendingLatticeNode: null,  // Lattice node a shared link asks for, picked once the instance is solved
+    objective: 'proposer',  // Which stable matching the solver picked
+    comparison: null,  // A-proposing vs B-proposing outcomes
+    replay: null,  // Recorded Gale-Shapley trace and player position
+    target: { pairs: [], result: null, basis: null },  // Pairs to make the solver match and the edits found for them
+    manipulation: { results: null, basis: null, applied: null },  // Profitable lies found, and the one applied for comparison
+    experiments: null,  // Rows and per-group summary of the last batch experiment
+    history: { entries: [], index: -1 },  // The instance after each edit, and the entry on screen
+    snapshots: { entries: [], comparison: null },  // Pinned instances with their results, and the two being compared
+    progressTimer: null,  // Delays the solve progress indicator
+    proposerSide: 'A',
+    participantCounts: { a: 5, b: 5 }  // Match the HTML defaults
 };
 
 // DOM element references
 let elements = {};
 
+// Runs the solver pipeline in a Web Worker, one request at a time
+const solver = createSolver();
+
+// Display names for the stability notions offered in the solver selector
+const STABILITY_LABELS = {
+    weak: 'weakly stable',
+    strong: 'strongly stable',
+    super: 'super-stable'
+};
+
+// Display names for the objectives offered next to the solve button
+const OBJECTIVE_LABELS = {
+    egalitarian: 'egalitarian',
+    'minimum-regret': 'minimum-regret',
+    'sex-equal': 'approximately sex-equal'
+};
+
+// Display names for the metrics compared between snapshots; {A} and {B}
+// stand for the side labels
+const METRIC_LABELS = {
+    stabilityScore: 'Stability score',
+    avgHappiness: 'Average satisfaction',
+    avgASatisfaction: '{A} satisfaction',
+    avgBSatisfaction: '{B} satisfaction',
+    avgARank: '{A} average rank',
+    avgBRank: '{B} average rank',
+    proposerSatisfaction: 'Proposer satisfaction',
+    receiverSatisfaction: 'Receiver satisfaction',
+    matchedCount: 'Matched',
+    openPlaces: 'Open places',
+    egalitarianCost: 'Egalitarian cost',
+    regret: 'Regret',
+    sexEqualityCost: 'Sex-equality cost'
+};
+
+// Milliseconds between replay steps at 1× speed
+const REPLAY_INTERVAL = 800;
+
+// Cap on the stable matchings drawn in the lattice, which can grow exponentially
+const LATTICE_LIMIT = 60;
+
+// Milliseconds a solve may take before the progress indicator appears
+const PROGRESS_DELAY = 150;
+
+// Most edits kept for undo; the oldest are dropped first
+const HISTORY_LIMIT = 100;
+
+// Longest side label accepted
+const LABEL_MAX_LENGTH = 24;
+
+// Chart titles for the batch experiment measurements
+const EXPERIMENT_LABELS = {
+    proposals: 'Total proposals',
+    proposerSatisfaction: 'Proposer satisfaction',
+    receiverSatisfaction: 'Receiver satisfaction',
+    stableMatchings: 'Stable matchings'
+};
+
+// Largest instances and batches the experiments view accepts
+const EXPERIMENT_MAX_SIZE = 200;
+const EXPERIMENT_MAX_TRIALS = 5000;
+
+// Experiment chart layout, in SVG units
+const CHART_LAYOUT = { width: 320, height: 200, left: 44, right: 12, top: 12, bottom: 34 };
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Matching diagram layout, in SVG units
+const DIAGRAM_LAYOUT = { width: 400, rowHeight: 40, padding: 20, poolHeight: 300 };
+
+// Styles copied onto each element of an exported diagram, which has no stylesheet
+const DIAGRAM_STYLE_PROPERTIES = [
+    'fill', 'stroke', 'stroke-width', 'stroke-dasharray',
+    'font-family', 'font-size', 'font-weight'
+];
+
 /**
  * Initialize the application
  */
@@ -41,8 +154,12 @@ function init() {
     // Set up event listeners
     setupEventListeners();
     
-    // Generate initial data
-    generateInitialData();
+    // Restore a shared instance from the URL, or generate initial data
+    if (!restoreFromPermalink()) {
+        generateInitialData();
+        applySideLabels();
+        recordHistory('Generated random preferences');
+    }
     
     // Render initial UI
     renderUI();
@@ -56,26 +173,135 @@ function init() {
  */
 function cacheElements() {
     elements = {
-        participantCountInput: document.getElementById('participant-count'),
+        countAInput: document.getElementById('count-a'),
+        countBInput: document.getElementById('count-b'),
+        tiesToggle: document.getElementById('ties-toggle'),
+        modelSelect: document.getElementById('model-select'),
+        seedInput: document.getElementById('seed-input'),
         regenerateBtn: document.getElementById('regenerate-btn'),
+        importBtn: document.getElementById('import-btn'),
+        importFile: document.getElementById('import-file'),
+        exportJsonBtn: document.getElementById('export-json-btn'),
+        exportCsvBtn: document.getElementById('export-csv-btn'),
+        copyLinkBtn: document.getElementById('copy-link-btn'),
+        experimentsBtn: document.getElementById('experiments-btn'),
+        mainContent: document.querySelector('.main-content'),
+        experimentsView: document.getElementById('experiments-view'),
+        experimentSizes: document.getElementById('experiment-sizes'),
+        experimentTrials: document.getElementById('experiment-trials'),
+        experimentSeed: document.getElementById('experiment-seed'),
+        experimentModels: document.getElementById('experiment-models'),
+        experimentRunBtn: document.getElementById('experiment-run-btn'),
+        experimentExportBtn: document.getElementById('experiment-export-btn'),
+        experimentStatus: document.getElementById('experiment-status'),
+        experimentCharts: document.getElementById('experiment-charts'),
+        experimentTable: document.getElementById('experiment-table'),
+        experimentRows: document.getElementById('experiment-table').querySelector('tbody'),
+        diagnosticsPanel: document.getElementById('diagnostics-panel'),
+        diagnosticsSummary: document.getElementById('diagnostics-summary'),
+        diagnosticsList: document.getElementById('diagnostics-list'),
+        solveProgress: document.getElementById('solve-progress'),
+        solveProgressBar: document.getElementById('solve-progress-bar'),
+        solveProgressLabel: document.getElementById('solve-progress-label'),
+        cancelSolveBtn: document.getElementById('cancel-solve-btn'),
+        stabilitySelect: document.getElementById('stability-select'),
+        objectiveSelect: document.getElementById('objective-select'),
+        modeSelect: document.getElementById('mode-select'),
+        proposerSelect: document.getElementById('proposer-select'),
         solveBtn: document.getElementById('solve-btn'),
         whatIfBtn: document.getElementById('what-if-btn'),
+        undoBtn: document.getElementById('undo-btn'),
+        redoBtn: document.getElementById('redo-btn'),
+        historyList: document.getElementById('history-list'),
         resetBtn: document.getElementById('reset-btn'),
         themeToggle: document.getElementById('theme-toggle'),
         themeIcon: document.querySelector('.theme-icon'),
+        countALabel: document.getElementById('count-a-label'),
+        countBLabel: document.getElementById('count-b-label'),
+        labelAInput: document.getElementById('label-a'),
+        labelBInput: document.getElementById('label-b'),
+        labelFields: document.getElementById('label-fields'),
+        comparisonTitle: document.getElementById('comparison-title'),
+        comparisonHeaders: document.getElementById('comparison-table').querySelectorAll('thead th'),
+        countBField: document.getElementById('count-b-field'),
+        groupAColumn: document.getElementById('group-a-column'),
+        groupBColumn: document.getElementById('group-b-column'),
+        groupAHeading: document.querySelector('#group-a-column h2'),
+        groupBHeading: document.querySelector('#group-b-column h2'),
+        poolColumn: document.getElementById('pool-column'),
+        matrixColumn: document.getElementById('matrix-column'),
+        rankMatrix: document.getElementById('rank-matrix'),
+        viewSelect: document.getElementById('view-select'),
         groupA: document.getElementById('group-a'),
         groupB: document.getElementById('group-b'),
+        pool: document.getElementById('pool'),
         emptyState: document.getElementById('empty-state'),
         resultsContent: document.getElementById('results-content'),
         matchingTable: document.getElementById('matching-table').querySelector('tbody'),
+        matchingHeaders: document.getElementById('matching-table').querySelectorAll('thead th'),
         stabilityScore: document.getElementById('stability-score'),
         avgHappiness: document.getElementById('avg-happiness'),
+        egalitarianCost: document.getElementById('egalitarian-cost'),
+        regret: document.getElementById('regret'),
+        sexEqualityCost: document.getElementById('sex-equality-cost'),
         proposerSatisfaction: document.getElementById('proposer-satisfaction'),
         receiverSatisfaction: document.getElementById('receiver-satisfaction'),
+        unmatchedCount: document.getElementById('unmatched-count'),
+        unmatchedList: document.getElementById('unmatched-list'),
         blockingPairsList: document.getElementById('blocking-pairs-list'),
         diagramContainer: document.getElementById('diagram-container'),
+        diagramSvgBtn: document.getElementById('diagram-svg-btn'),
+        diagramPngBtn: document.getElementById('diagram-png-btn'),
+        latticeSection: document.getElementById('lattice-section'),
+        latticeSummary: document.getElementById('lattice-summary'),
+        latticeContainer: document.getElementById('lattice-container'),
+        replaySection: document.getElementById('replay-section'),
+        replayTitle: document.getElementById('replay-title'),
+        replayBack: document.getElementById('replay-back'),
+        replayPlay: document.getElementById('replay-play'),
+        replayForward: document.getElementById('replay-forward'),
+        replaySpeed: document.getElementById('replay-speed'),
+        replayStatus: document.getElementById('replay-status'),
+        replayLog: document.getElementById('replay-log'),
+        comparisonSection: document.getElementById('comparison-section'),
+        comparisonSummary: document.getElementById('comparison-summary'),
+        comparisonTable: document.getElementById('comparison-table').querySelector('tbody'),
+        manipulationSection: document.getElementById('manipulation-section'),
+        manipulationSummary: document.getElementById('manipulation-summary'),
+        manipulationCheckBtn: document.getElementById('manipulation-check-btn'),
+        manipulationRestoreBtn: document.getElementById('manipulation-restore-btn'),
+        snapshotName: document.getElementById('snapshot-name'),
+        snapshotPinBtn: document.getElementById('snapshot-pin-btn'),
+        snapshotList: document.getElementById('snapshot-list'),
+        snapshotCompareControls: document.getElementById('snapshot-compare-controls'),
+        snapshotFirstSelect: document.getElementById('snapshot-first-select'),
+        snapshotSecondSelect: document.getElementById('snapshot-second-select'),
+        snapshotCompareBtn: document.getElementById('snapshot-compare-btn'),
+        snapshotComparison: document.getElementById('snapshot-comparison'),
+        snapshotSummary: document.getElementById('snapshot-summary'),
+        snapshotDiagrams: document.getElementById('snapshot-diagrams'),
+        snapshotFirstDiagram: document.getElementById('snapshot-first-diagram'),
+        snapshotSecondDiagram: document.getElementById('snapshot-second-diagram'),
+        snapshotListsTable: document.getElementById('snapshot-lists-table'),
+        snapshotPairsTable: document.getElementById('snapshot-pairs-table'),
+        snapshotMetricsTable: document.getElementById('snapshot-metrics-table'),
+        manipulationTable: document.getElementById('manipulation-table'),
+        manipulationRows: document.getElementById('manipulation-table').querySelector('tbody'),
+        manipulationComparison: document.getElementById('manipulation-comparison'),
+        manipulationComparisonSummary: document.getElementById('manipulation-comparison-summary'),
+        manipulationComparisonTable: document.getElementById('manipulation-comparison-table').querySelector('tbody'),
         explanationText: document.getElementById('explanation-text'),
         suggestionsList: document.getElementById('suggestions-list'),
+        targetSection: document.getElementById('target-section'),
+        targetASelect: document.getElementById('target-a-select'),
+        targetBSelect: document.getElementById('target-b-select'),
+        targetAddBtn: document.getElementById('target-add-btn'),
+        targetMatchingBtn: document.getElementById('target-matching-btn'),
+        targetClearBtn: document.getElementById('target-clear-btn'),
+        targetPairs: document.getElementById('target-pairs'),
+        targetFindBtn: document.getElementById('target-find-btn'),
+        targetResult: document.getElementById('target-result'),
+        targetApplyBtn: document.getElementById('target-apply-btn'),
         toast: document.getElementById('toast')
     };
 }
@@ -84,12 +310,49 @@ function cacheElements() {
  * Set up event listeners for UI controls
  */
 function setupEventListeners() {
-    elements.participantCountInput.addEventListener('change', handleParticipantCountChange);
+    elements.countAInput.addEventListener('change', handleParticipantCountChange);
+    elements.countBInput.addEventListener('change', handleParticipantCountChange);
+    elements.modelSelect.addEventListener('change', handleGeneratorChange);
+    elements.seedInput.addEventListener('change', handleGeneratorChange);
     elements.regenerateBtn.addEventListener('click', handleRegenerate);
+    elements.importBtn.addEventListener('click', () => elements.importFile.click());
+    elements.importFile.addEventListener('change', handleImportFile);
+    elements.exportJsonBtn.addEventListener('click', handleExportJSON);
+    elements.exportCsvBtn.addEventListener('click', handleExportCSV);
+    elements.copyLinkBtn.addEventListener('click', handleCopyLink);
+    elements.diagramSvgBtn.addEventListener('click', () => handleExportDiagram('svg'));
+    elements.diagramPngBtn.addEventListener('click', () => handleExportDiagram('png'));
+    elements.experimentsBtn.addEventListener('click', handleToggleExperiments);
+    elements.experimentRunBtn.addEventListener('click', handleRunExperiments);
+    elements.experimentExportBtn.addEventListener('click', handleExportExperiments);
     elements.solveBtn.addEventListener('click', handleSolve);
+    elements.cancelSolveBtn.addEventListener('click', cancelSolve);
+    elements.stabilitySelect.addEventListener('change', handleStabilityChange);
+    elements.objectiveSelect.addEventListener('change', handleSolve);
+    elements.modeSelect.addEventListener('change', handleModeSelect);
+    elements.proposerSelect.addEventListener('change', handleProposerChange);
+    elements.viewSelect.addEventListener('change', handleViewChange);
+    elements.labelAInput.addEventListener('change', handleSideLabelChange);
+    elements.labelBInput.addEventListener('change', handleSideLabelChange);
     elements.whatIfBtn.addEventListener('click', handleWhatIf);
+    elements.targetAddBtn.addEventListener('click', handleAddTargetPair);
+    elements.targetMatchingBtn.addEventListener('click', handleTargetShownMatching);
+    elements.targetClearBtn.addEventListener('click', () => setTargetPairs([]));
+    elements.targetFindBtn.addEventListener('click', handleFindTargetEdits);
+    elements.targetApplyBtn.addEventListener('click', handleApplyTargetEdits);
+    elements.replayBack.addEventListener('click', () => handleReplayStep(-1));
+    elements.replayForward.addEventListener('click', () => handleReplayStep(1));
+    elements.replayPlay.addEventListener('click', handleReplayPlay);
+    elements.manipulationCheckBtn.addEventListener('click', handleCheckManipulation);
+    elements.snapshotPinBtn.addEventListener('click', handlePinSnapshot);
+    elements.snapshotCompareBtn.addEventListener('click', handleCompareSnapshots);
+    elements.manipulationRestoreBtn.addEventListener('click', handleRestoreTruth);
+    elements.undoBtn.addEventListener('click', handleUndo);
+    elements.redoBtn.addEventListener('click', handleRedo);
     elements.resetBtn.addEventListener('click', handleReset);
     elements.themeToggle.addEventListener('click', handleThemeToggle);
+    document.addEventListener('keydown', handleHistoryKey);
+    window.addEventListener('hashchange', handleHashChange);
     
     // Initialize theme
     initializeTheme();
@@ -99,38 +362,587 @@ function setupEventListeners() {
  * Generate initial random data
  */
 function generateInitialData() {
-    const count = parseInt(elements.participantCountInput.value);
-    appState.participantCount = count;
-    appState.participants = generateParticipants(count);
+    generateBipartiteData();
+    generateRoommatesData();
+}
+
+/**
+ * Generate random participants, preferences and capacities for two groups
+ */
+function generateBipartiteData() {
+    const counts = readParticipantCounts();
+    appState.participantCounts = counts;
+    appState.participants = generateParticipants(counts.a, counts.b, appState.participants);
     appState.preferences = generateRandomPreferences(
         appState.participants.groupA,
-        appState.participants.groupB
+        appState.participants.groupB,
+        generatorOptions()
     );
+    appState.capacities = defaultCapacities();
+    appState.attributes = keepAttributes(appState.attributes, [
+        ...appState.participants.groupA,
+        ...appState.participants.groupB
+    ]);
+}
+
+/**
+ * Generate a random single pool for Stable Roommates, sized by the Group A count
+ */
+function generateRoommatesData() {
+    const pool = generateRoommates(readParticipantCounts().a, appState.roommates.pool);
+    appState.roommates = {
+        pool,
+        preferences: generateRandomRoommatePreferences(pool, generatorOptions()),
+        attributes: keepAttributes(appState.roommates.attributes, pool)
+    };
+}
+
+/**
+ * Keep the attributes of the participants still present
+ */
+function keepAttributes(attributes, participants) {
+    return Object.fromEntries(Object.entries(attributes).filter(([id]) => participants.includes(id)));
+}
+
+/**
+ * Read the generator settings, starting a fresh random stream from the seed
+ * so each instance can be reproduced
+ */
+function generatorOptions() {
+    if (elements.seedInput.value.trim() === '') {
+        elements.seedInput.value = randomSeed();
+    }
+    return {
+        tieProbability: elements.tiesToggle.checked ? 0.3 : 0,
+        model: elements.modelSelect.value,
+        random: createRandom(elements.seedInput.value.trim())
+    };
+}
+
+/**
+ * Spread Group A evenly over Group B's places
+ */
+function defaultCapacities() {
+    const { groupA, groupB } = appState.participants;
+    const capacity = Math.max(1, Math.ceil(groupA.length / groupB.length));
+    const capacities = {};
+    groupB.forEach(b => {
+        capacities[b] = capacity;
+    });
+    return capacities;
+}
+
+/**
+ * Check whether Group B members hold several places (Hospitals/Residents)
+ */
+function isManyToOne() {
+    return appState.mode === 'many-to-one';
+}
+
+/**
+ * Check whether everyone ranks everyone else in a single pool
+ */
+function isRoommates() {
+    return appState.mode === 'roommates';
+}
+
+/**
+ * Handle a mode picked from the selector, keeping the switch in the history
+ */
+function handleModeSelect() {
+    handleModeChange();
+    const option = elements.modeSelect.selectedOptions[0];
+    recordHistory(`Switched to ${option.textContent.toLowerCase()}`);
+}
+
+/**
+ * Handle switching between one-to-one, many-to-one and roommates matching
+ */
+function handleModeChange() {
+    appState.mode = elements.modeSelect.value;
+    
+    // Tie-aware stability notions are only offered for one-to-one matching
+    const bipartiteOneToOne = !isManyToOne() && !isRoommates();
+    elements.stabilitySelect.disabled = !bipartiteOneToOne;
+    if (!bipartiteOneToOne) {
+        elements.stabilitySelect.value = 'weak';
+    }
+    elements.proposerSelect.hidden = isRoommates();
+    updateObjectiveAvailability();
+    
+    // A single pool replaces the two group columns
+    updatePreferenceView();
+    elements.countBField.hidden = isRoommates();
+    elements.labelFields.hidden = isRoommates();
+    elements.countALabel.textContent = isRoommates() ? 'Pool:' : `${sideLabel('A')}:`;
+    elements.solveBtn.textContent = isRoommates() ? 'Run Irving' : 'Run Gale-Shapley';
+    elements.exportCsvBtn.disabled = isRoommates();
+    
+    renderUI();
+    clearResults();
+}
+
+/**
+ * Handle a change of proposing side
+ */
+function handleProposerChange() {
+    updateSideHeadings();
+    handleSolve();
+}
+
+/**
+ * Label each group column as proposers or receivers
+ */
+function updateSideHeadings() {
+    const proposerSide = elements.proposerSelect.value;
+    elements.groupAHeading.textContent = `${sideLabel('A')} (${proposerSide === 'A' ? 'Proposers' : 'Receivers'})`;
+    elements.groupBHeading.textContent = `${sideLabel('B')} (${proposerSide === 'B' ? 'Proposers' : 'Receivers'})`;
+}
+
+/**
+ * Get the display name of a side ('A' or 'B'), e.g. "Mentors"
+ */
+function sideLabel(side) {
+    return appState.sideLabels[side];
+}
+
+/**
+ * Show the side labels on every control and heading that names a side
+ */
+function applySideLabels() {
+    const { A, B } = appState.sideLabels;
+    elements.labelAInput.value = A;
+    elements.labelBInput.value = B;
+    elements.countALabel.textContent = isRoommates() ? 'Pool:' : `${A}:`;
+    elements.countBLabel.textContent = `${B}:`;
+    elements.proposerSelect.options[0].textContent = `${A} proposing`;
+    elements.proposerSelect.options[1].textContent = `${B} proposing`;
+    elements.targetASelect.setAttribute('aria-label', `${A} member`);
+    elements.targetBSelect.setAttribute('aria-label', `${B} member`);
+    elements.comparisonTitle.textContent = `${A} Proposing vs ${B} Proposing`;
+    elements.comparisonHeaders[1].textContent = `${A} Proposing`;
+    elements.comparisonHeaders[2].textContent = `${B} Proposing`;
+    updateSideHeadings();
+}
+
+/**
+ * Handle a side label being renamed
+ */
+function handleSideLabelChange(event) {
+    const side = event.target === elements.labelAInput ? 'A' : 'B';
+    const label = event.target.value.trim();
+    const other = sideLabel(side === 'A' ? 'B' : 'A');
+    if (label === '' || label.length > LABEL_MAX_LENGTH || label === other) {
+        showToast(label === other ? 'The two sides need different labels' : `Labels must be 1 to ${LABEL_MAX_LENGTH} characters`, 'error');
+        event.target.value = sideLabel(side);
+        return;
+    }
+    if (label === sideLabel(side)) return;
+    
+    const previous = sideLabel(side);
+    appState.sideLabels = { ...appState.sideLabels, [side]: label };
+    recordHistory(`Renamed ${previous} to ${label}`);
+    applySideLabels();
+    renderRankMatrix();
+    updatePermalink();
+    if (resultsShown()) {
+        renderResults();
+        renderAssistant();
+        renderSnapshotComparison();
+    }
+}
+
+/**
+ * Handle a change of stability notion
+ */
+function handleStabilityChange() {
+    updateObjectiveAvailability();
+    handleSolve();
+}
+
+/**
+ * Offer the optimality objectives only where the lattice of weakly stable
+ * matchings applies
+ */
+function updateObjectiveAvailability() {
+    elements.objectiveSelect.disabled = isManyToOne() || isRoommates() ||
+        elements.stabilitySelect.value !== 'weak';
+}
+
+/**
+ * Read the per-side participant counts from the inputs
+ */
+function readParticipantCounts() {
+    return {
+        a: parseInt(elements.countAInput.value),
+        b: parseInt(elements.countBInput.value)
+    };
+}
+
+/**
+ * Check a count against the limits of its input
+ */
+function isValidCount(count, input) {
+    return Number.isInteger(count) && count >= parseInt(input.min) && count <= parseInt(input.max);
 }
 
 /**
  * Handle participant count change
  */
 function handleParticipantCountChange() {
-    const newCount = parseInt(elements.participantCountInput.value);
-    if (newCount !== appState.participantCount && newCount >= 3 && newCount <= 10) {
-        appState.participantCount = newCount;
+    const counts = readParticipantCounts();
+    const changed = counts.a !== appState.participantCounts.a || counts.b !== appState.participantCounts.b;
+    
+    if (changed && isValidCount(counts.a, elements.countAInput) && isValidCount(counts.b, elements.countBInput)) {
         generateInitialData();
+        recordHistory('Changed the group sizes');
         renderUI();
         clearResults();
     }
 }
 
+/**
+ * Handle a new seed or preference model by regenerating the instance
+ */
+function handleGeneratorChange() {
+    generateInitialData();
+    recordHistory(`Generated with the ${elements.modelSelect.value} model, seed ${elements.seedInput.value}`);
+    renderUI();
+    clearResults();
+}
+
 /**
  * Handle regenerate button click
  */
 function handleRegenerate() {
+    elements.seedInput.value = randomSeed();
     generateInitialData();
+    recordHistory('Generated new random preferences');
     renderUI();
     clearResults();
     showToast('New random preferences generated!', 'success');
 }
 
+/**
+ * Handle a JSON or CSV file chosen for import
+ */
+async function handleImportFile(event) {
+    const file = event.target.files[0];
+    event.target.value = '';  // Allow re-importing the same file
+    if (!file) return;
+    
+    try {
+        const text = await file.text();
+        const isJSON = file.name.toLowerCase().endsWith('.json') || text.trim().startsWith('{');
+        applyImportedInstance(isJSON ? parseInstanceJSON(text) : parseInstanceCSV(text));
+        recordHistory(`Imported ${file.name}`);
+        showToast(`Imported ${file.name}`, 'success');
+    } catch (error) {
+        console.error('Error importing instance:', error);
+        const errors = error.errors || [error.message];
+        const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : '';
+        showToast(`Import failed: ${errors.slice(0, 3).join('; ')}${more}`, 'error');
+    }
+}
+
+/**
+ * Replace the current instance with an imported one and solve it
+ */
+function applyImportedInstance(instance) {
+    if (instance.mode === 'roommates') {
+        const pool = Object.keys(instance.preferences);
+        appState.roommates = { pool, preferences: instance.preferences, attributes: instance.attributes || {} };
+        elements.countAInput.value = pool.length;
+    } else {
+        appState.participants = {
+            groupA: Object.keys(instance.prefsA),
+            groupB: Object.keys(instance.prefsB)
+        };
+        appState.preferences = { prefsA: instance.prefsA, prefsB: instance.prefsB };
+        appState.capacities = instance.capacities || defaultCapacities();
+        appState.sideLabels = instance.labels || { A: 'Group A', B: 'Group B' };
+        appState.attributes = instance.attributes || {};
+        elements.countAInput.value = appState.participants.groupA.length;
+        elements.countBInput.value = appState.participants.groupB.length;
+    }
+    appState.participantCounts = readParticipantCounts();
+    applySideLabels();
+    
+    elements.modeSelect.value = instance.mode;
+    handleModeChange();
+    solveAndUpdate();
+}
+
+/**
+ * Gather the instance on screen in the shape the io module expects
+ */
+function currentInstance() {
+    if (isRoommates()) {
+        return { mode: 'roommates', preferences: appState.roommates.preferences, attributes: currentAttributes() };
+    }
+    const { A, B } = appState.sideLabels;
+    return {
+        mode: appState.mode,
+        prefsA: appState.preferences.prefsA,
+        prefsB: appState.preferences.prefsB,
+        capacities: isManyToOne() ? appState.capacities : null,
+        labels: A === 'Group A' && B === 'Group B' ? null : appState.sideLabels,
+        attributes: currentAttributes()
+    };
+}
+
+/**
+ * Get the attributes of the participants on screen
+ */
+function currentAttributes() {
+    return isRoommates() ? appState.roommates.attributes : appState.attributes;
+}
+
+/**
+ * Describe a participant's attributes, e.g. "age: 34, city: Leeds", or
+ * give '' if they have none
+ */
+function describeAttributes(person) {
+    const attributes = currentAttributes();
+    if (!person || !Object.hasOwn(attributes, person)) return '';
+    return Object.entries(attributes[person]).map(([name, value]) => `${name}: ${value}`).join(', ');
+}
+
+/**
+ * Check the current instance, list its problems in the diagnostics panel
+ * and flag the cards at fault. Returns true if errors keep it from being
+ * solved.
+ */
+function updateDiagnostics() {
+    const participants = isRoommates() ? { pool: appState.roommates.pool } : appState.participants;
+    appState.diagnostics = validateInstance({ ...currentInstance(), participants });
+    renderDiagnostics();
+    return appState.diagnostics.some(diagnostic => diagnostic.severity === 'error');
+}
+
+/**
+ * Render the diagnostics panel; each problem with a participant at fault
+ * links to their card
+ */
+function renderDiagnostics() {
+    const { diagnostics } = appState;
+    const errorCount = diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+    const warningCount = diagnostics.length - errorCount;
+    
+    document.querySelectorAll('.participant-card').forEach(card => {
+        card.classList.remove('has-error', 'has-warning');
+    });
+    elements.diagnosticsList.innerHTML = '';
+    elements.diagnosticsPanel.hidden = diagnostics.length === 0;
+    elements.diagnosticsPanel.classList.toggle('has-errors', errorCount > 0);
+    if (diagnostics.length === 0) return;
+    
+    const counts = [];
+    if (errorCount > 0) counts.push(`${errorCount} ${errorCount === 1 ? 'error' : 'errors'}`);
+    if (warningCount > 0) counts.push(`${warningCount} ${warningCount === 1 ? 'warning' : 'warnings'}`);
+    elements.diagnosticsSummary.textContent = errorCount > 0
+        ? `${counts.join(' and ')} — fix the errors to solve`
+        : counts.join(' and ');
+    
+    diagnostics.forEach(diagnostic => {
+        const card = diagnostic.person ? findParticipantCard(diagnostic.side, diagnostic.person) : null;
+        const item = document.createElement('li');
+        item.className = `diagnostic ${diagnostic.severity}`;
+        item.setAttribute('data-code', diagnostic.code);
+        
+        if (card) {
+            card.classList.add(`has-${diagnostic.severity}`);
+            const link = document.createElement('button');
+            link.type = 'button';
+            link.className = 'diagnostic-link';
+            link.textContent = diagnostic.person;
+            link.title = `Show ${diagnostic.person}'s preferences`;
+            link.addEventListener('click', () => focusParticipantCard(card));
+            item.appendChild(link);
+        }
+        
+        const message = document.createElement('span');
+        message.textContent = diagnostic.message;
+        item.appendChild(message);
+        elements.diagnosticsList.appendChild(item);
+    });
+}
+
+/**
+ * Find the card showing a participant's preferences, if it is on screen
+ */
+function findParticipantCard(side, person) {
+    const list = Array.from(document.querySelectorAll('.preference-list')).find(candidate =>
+        candidate.getAttribute('data-group') === side &&
+        candidate.getAttribute('data-participant') === person
+    );
+    return list ? list.closest('.participant-card') : null;
+}
+
+/**
+ * Scroll a participant card into view and briefly highlight it
+ */
+function focusParticipantCard(card) {
+    if (card.closest('.group-column').hidden) {
+        elements.viewSelect.value = 'cards';
+        handleViewChange();
+    }
+    card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    card.classList.add('focused');
+    setTimeout(() => {
+        card.classList.remove('focused');
+    }, 1500);
+}
+
+/**
+ * Restore the instance and view encoded in the URL hash, if any
+ */
+function restoreFromPermalink() {
+    let permalink;
+    try {
+        permalink = decodePermalink(window.location.hash);
+    } catch (error) {
+        console.error('Error reading permalink:', error);
+        const errors = error.errors || [error.message];
+        showToast(`Could not open link: ${errors[0]}`, 'error');
+        return false;
+    }
+    if (!permalink) return false;
+    
+    const { instance, view } = permalink;
+    
+    // Fill in the mode the link does not describe so switching still works
+    if (instance.mode === 'roommates') {
+        generateBipartiteData();
+    } else {
+        generateRoommatesData();
+    }
+    
+    if (view.proposerSide === 'A' || view.proposerSide === 'B') {
+        elements.proposerSelect.value = view.proposerSide;
+        updateSideHeadings();
+    }
+    if (view.notion in STABILITY_LABELS) {
+        elements.stabilitySelect.value = view.notion;
+    }
+    if (view.objective === 'proposer' || view.objective in OBJECTIVE_LABELS) {
+        elements.objectiveSelect.value = view.objective;
+    }
+    elements.viewSelect.value = view.display === 'matrix' ? 'matrix' : 'cards';
+    appState.pendingLatticeNode = view.latticeNode ?? null;
+    
+    applyImportedInstance(instance);
+    recordHistory('Opened a shared link');
+    return true;
+}
+
+/**
+ * Handle the URL hash being changed by hand or by history navigation
+ */
+function handleHashChange() {
+    // Hashes written by updatePermalink already match the state on screen
+    if (window.location.hash.slice(1) === currentShareLink()) return;
+    
+    // Put back the link for the instance on screen if the new one is unusable
+    if (!restoreFromPermalink()) {
+        updatePermalink();
+    }
+}
+
+/**
+ * Encode the instance and solver settings on screen as a URL hash; results
+ * found for one hash are out of date once it changes
+ */
+function currentPermalink() {
+    return encodePermalink(currentInstance(), solverView());
+}
+
+/**
+ * Encode what a shared link reopens: the instance and solver settings, the
+ * stable matching picked in the lattice and the preference view
+ */
+function currentShareLink() {
+    const { lattice } = appState;
+    return encodePermalink(currentInstance(), {
+        ...solverView(),
+        latticeNode: lattice && lattice.picked ? lattice.selected : null,
+        display: !isRoommates() && elements.viewSelect.value === 'matrix' ? 'matrix' : null
+    });
+}
+
+/**
+ * Read the solver settings on screen in encodePermalink's view form
+ */
+function solverView() {
+    return {
+        proposerSide: isRoommates() ? null : elements.proposerSelect.value,
+        notion: isRoommates() ? null : elements.stabilitySelect.value,
+        objective: elements.objectiveSelect.disabled ? null : elements.objectiveSelect.value
+    };
+}
+
+/**
+ * Keep the URL hash in step with the current instance, without adding history entries
+ */
+function updatePermalink() {
+    const hash = currentShareLink();
+    if (window.location.hash.slice(1) !== hash) {
+        history.replaceState(null, '', `#${hash}`);
+    }
+}
+
+/**
+ * Handle copy link button click
+ */
+async function handleCopyLink() {
+    updatePermalink();
+    try {
+        await navigator.clipboard.writeText(window.location.href);
+        showToast('Link copied to clipboard', 'success');
+    } catch (error) {
+        console.error('Error copying link:', error);
+        showToast('Could not copy the link; copy it from the address bar instead', 'warning');
+    }
+}
+
+/**
+ * Handle export JSON button click, including the current results if solved
+ */
+function handleExportJSON() {
+    const results = appState.currentMatching
+        ? { matching: appState.currentMatching, metrics: appState.currentMetrics }
+        : {};
+    downloadFile('smp-instance.json', exportInstanceJSON(currentInstance(), results), 'application/json');
+}
+
+/**
+ * Handle export CSV button click
+ */
+function handleExportCSV() {
+    downloadFile('smp-instance.csv', exportInstanceCSV(currentInstance()), 'text/csv');
+}
+
+/**
+ * Offer text content as a file download
+ */
+function downloadFile(filename, content, type) {
+    downloadBlob(filename, new Blob([content], { type }));
+}
+
+/**
+ * Offer a blob as a file download
+ */
+function downloadBlob(filename, blob) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
 /**
  * Handle solve button click
  */
@@ -157,6 +969,7 @@ function handleWhatIf() {
     );
     
     appState.preferences = newPrefs;
+    recordHistory('Applied suggestion 1');
     
     // Re-render preferences UI
     renderPreferences();
@@ -171,103 +984,402 @@ function handleWhatIf() {
  * Handle reset button click
  */
 function handleReset() {
+    elements.seedInput.value = randomSeed();
+    
+    // Start over from numbered participants and the default labels
+    appState.participants = { groupA: [], groupB: [] };
+    appState.roommates = { pool: [], preferences: {}, attributes: {} };
+    appState.attributes = {};
+    appState.sideLabels = { A: 'Group A', B: 'Group B' };
+    applySideLabels();
     generateInitialData();
+    recordHistory('Reset to new random preferences');
     renderUI();
     clearResults();
     showToast('Reset to new random preferences', 'success');
 }
 
 /**
- * Solve the SMP and update all UI components
+ * Copy everything that makes up the instance being edited
  */
-function solveAndUpdate() {
-    try {
-        // Validate preferences exist
-        if (!appState.preferences.prefsA || !appState.preferences.prefsB) {
-            throw new Error('Preferences not initialized');
-        }
-        
-        // Check if preferences are empty
-        const aKeys = Object.keys(appState.preferences.prefsA);
-        const bKeys = Object.keys(appState.preferences.prefsB);
-        
-        if (aKeys.length === 0 || bKeys.length === 0) {
-            throw new Error('Empty preferences detected');
-        }
-        
-        console.log('Running Gale-Shapley with:', {
-            aParticipants: aKeys,
-            bParticipants: bKeys,
-            prefsA: appState.preferences.prefsA,
-            prefsB: appState.preferences.prefsB
-        });
-        
-        // Run Gale-Shapley algorithm
-        const { matching } = runGaleShapley(
-            appState.preferences.prefsA,
-            appState.preferences.prefsB
-        );
-        
-        // Find blocking pairs
-        const blockingPairs = findBlockingPairs(
-            matching,
-            appState.preferences.prefsA,
-            appState.preferences.prefsB
-        );
+function captureInstance() {
+    return JSON.parse(JSON.stringify({
+        mode: appState.mode,
+        participants: appState.participants,
+        preferences: appState.preferences,
+        capacities: appState.capacities,
+        sideLabels: appState.sideLabels,
+        attributes: appState.attributes,
+        roommates: appState.roommates
+    }));
+}
+
+/**
+ * Add the instance as it is now to the history, dropping any undone edits
+ */
+function recordHistory(label) {
+    const { entries, index } = appState.history;
+    entries.splice(index + 1);
+    entries.push({ label, instance: captureInstance() });
+    if (entries.length > HISTORY_LIMIT) {
+        entries.shift();
+    }
+    appState.history.index = entries.length - 1;
+    renderHistory();
+}
+
+/**
+ * Go back (or forward) to the instance of a history entry and solve it again
+ */
+function restoreHistory(index) {
+    const entry = appState.history.entries[index];
+    if (!entry) return;
+    
+    const { mode, participants, preferences, capacities, sideLabels, attributes, roommates } =
+        JSON.parse(JSON.stringify(entry.instance));
+    appState.participants = participants;
+    appState.preferences = preferences;
+    appState.capacities = capacities;
+    appState.sideLabels = sideLabels;
+    appState.attributes = attributes;
+    appState.roommates = roommates;
+    appState.history.index = index;
+    
+    // An applied lie is compared with the truth it replaced, which this
+    // entry may not have
+    appState.manipulation.applied = null;
+    
+    elements.countAInput.value = mode === 'roommates' ? roommates.pool.length : participants.groupA.length;
+    elements.countBInput.value = participants.groupB.length;
+    appState.participantCounts = readParticipantCounts();
+    applySideLabels();
+    elements.modeSelect.value = mode;
+    handleModeChange();
+    renderHistory();
+    solveAndUpdate();
+}
+
+/**
+ * Handle undo button click
+ */
+function handleUndo() {
+    if (appState.history.index > 0) {
+        restoreHistory(appState.history.index - 1);
+    }
+}
+
+/**
+ * Handle redo button click
+ */
+function handleRedo() {
+    if (appState.history.index < appState.history.entries.length - 1) {
+        restoreHistory(appState.history.index + 1);
+    }
+}
+
+/**
+ * Undo with Ctrl+Z and redo with Ctrl+Shift+Z, except in text fields
+ * where the browser's own undo applies
+ */
+function handleHistoryKey(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+    if (e.target.closest && e.target.closest('input, textarea, select')) return;
+    
+    e.preventDefault();
+    if (e.shiftKey) {
+        handleRedo();
+    } else {
+        handleUndo();
+    }
+}
+
+/**
+ * Render the edit timeline, marking the entry on screen and any undone ones
+ */
+function renderHistory() {
+    const { entries, index } = appState.history;
+    elements.historyList.innerHTML = '';
+    
+    entries.forEach((entry, position) => {
+        const item = document.createElement('li');
+        item.className = 'history-entry';
+        if (position === index) item.classList.add('current');
+        if (position > index) item.classList.add('undone');
         
-        // Compute metrics
-        const metrics = computeMetrics(
-            matching,
-            appState.preferences.prefsA,
-            appState.preferences.prefsB,
-            blockingPairs,
-            'A'
-        );
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = entry.label;
+        button.addEventListener('click', () => restoreHistory(position));
+        item.appendChild(button);
+        elements.historyList.appendChild(item);
+    });
+    
+    elements.undoBtn.disabled = index <= 0;
+    elements.redoBtn.disabled = index >= entries.length - 1;
+}
+
+/**
+ * Describe how someone's list changed, e.g. "A3: moved B2 from 4 to 1",
+ * or return null if it did not
+ */
+function describeListChange(person, before, after) {
+    if (JSON.stringify(before) === JSON.stringify(after)) return null;
+    
+    const rankIn = (list, entry) => list.findIndex(rank => [rank].flat().includes(entry)) + 1;
+    const flatBefore = flattenPreferences(before);
+    const flatAfter = flattenPreferences(after);
+    const dropped = flatBefore.filter(entry => !flatAfter.includes(entry));
+    const added = flatAfter.filter(entry => !flatBefore.includes(entry));
+    
+    if (dropped.length === 1 && added.length === 0) {
+        return `${person}: marked ${dropped[0]} unacceptable`;
+    }
+    if (added.length === 1 && dropped.length === 0) {
+        return `${person}: accepted ${added[0]} at ${rankIn(after, added[0])}`;
+    }
+    if (dropped.length > 0 || added.length > 0) {
+        return `${person}: changed preferences`;
+    }
+    
+    // Same order with different ties: someone joined or left a tie
+    const tiedAbove = (list, index) => rankIn(list, flatBefore[index]) === rankIn(list, flatBefore[index - 1]);
+    if (flatBefore.join() === flatAfter.join()) {
+        const index = flatBefore.findIndex((_, position) =>
+            position > 0 && tiedAbove(before, position) !== tiedAbove(after, position));
+        return tiedAbove(after, index)
+            ? `${person}: tied ${flatBefore[index]} with ${flatBefore[index - 1]}`
+            : `${person}: untied ${flatBefore[index]} from ${flatBefore[index - 1]}`;
+    }
+    
+    // One entry moved if taking it out leaves the others in the same order;
+    // when two neighbours swap, name the one that went up
+    const without = (list, entry) => list.filter(other => other !== entry).join();
+    const movable = flatAfter.filter(entry => without(flatBefore, entry) === without(flatAfter, entry));
+    const moved = movable.find(entry => rankIn(after, entry) < rankIn(before, entry)) || movable[0];
+    return moved
+        ? `${person}: moved ${moved} from ${rankIn(before, moved)} to ${rankIn(after, moved)}`
+        : `${person}: reordered preferences`;
+}
+
+/**
+ * Solve the SMP and update all UI components
+ */
+async function solveAndUpdate() {
+    try {
+        // The diagnostics panel points at whatever must be fixed first
+        if (updateDiagnostics()) {
+            showToast('Fix the problems listed above before solving', 'error');
+            return;
+        }
         
-        // Analyze matching
-        const analysis = analyzeMatching(
-            matching,
-            appState.preferences.prefsA,
-            appState.preferences.prefsB,
-            blockingPairs,
-            metrics
-        );
+        if (isRoommates()) {
+            await solveRoommatesAndUpdate();
+            return;
+        }
         
-        // Generate suggestions
-        const suggestions = generateSuggestions(
-            matching,
-            appState.preferences.prefsA,
-            appState.preferences.prefsB,
-            blockingPairs,
-            analysis
-        );
+        console.log('Running Gale-Shapley with:', {
+            aParticipants: appState.participants.groupA,
+            bParticipants: appState.participants.groupB,
+            prefsA: appState.preferences.prefsA,
+            prefsB: appState.preferences.prefsB
+        });
         
-        // Update app state
-        appState.currentMatching = matching;
-        appState.currentMetrics = metrics;
-        appState.currentBlockingPairs = blockingPairs;
-        appState.currentAnalysis = analysis;
-        appState.currentSuggestions = suggestions;
+        // Solve for the selected stability notion, or with capacities; the
+        // solver reports back the settings that apply
+        const result = await runSolver({
+            type: 'solve',
+            instance: currentInstance(),
+            settings: {
+                notion: elements.stabilitySelect.value,
+                objective: elements.objectiveSelect.value,
+                proposerSide: elements.proposerSelect.value,
+                latticeLimit: LATTICE_LIMIT
+            }
+        });
         
-        // Update UI
-        showResults();
-        renderResults();
-        renderAssistant();
+        appState.lattice = result.lattice;
+        appState.comparison = result.comparison;
+        
+        // Keep the Gale-Shapley trace for the replay panel
+        stopReplay();
+        appState.replay = result.replay ? createReplay(result.replay, result.proposerSide) : null;
         
-        // Enable what-if button if suggestions available
-        elements.whatIfBtn.disabled = suggestions.length === 0;
+        appState.stability = { notion: result.notion, exists: result.exists };
+        appState.proposerSide = result.proposerSide;
+        appState.objective = result.objective;
+        showMatching(result.matching, result);
+        updatePermalink();
         
+        // A shared link may ask for another stable matching than the solver's
+        const node = appState.pendingLatticeNode;
+        appState.pendingLatticeNode = null;
+        if (node !== null && result.lattice && node < result.lattice.matchings.length) {
+            await handleLatticeSelect(node);
+        }
+    
     } catch (error) {
+        // A newer solve or an edit replaced this one
+        if (error.name === 'AbortError') return;
         console.error('Error solving SMP:', error);
         showToast('Error solving the problem. Please try again.', 'error');
     }
 }
 
+/**
+ * Run a solver request with the progress indicator showing
+ */
+async function runSolver(request) {
+    clearTimeout(appState.progressTimer);
+    appState.progressTimer = setTimeout(() => {
+        elements.solveProgress.hidden = false;
+    }, PROGRESS_DELAY);
+    elements.solveProgressBar.value = 0;
+    elements.solveProgressLabel.textContent = 'Solving…';
+    
+    try {
+        const result = await solver.run(request, updateSolveProgress);
+        hideSolveProgress();
+        return result;
+    } catch (error) {
+        // A cancelled run leaves the indicator to whatever replaced it
+        if (error.name !== 'AbortError') hideSolveProgress();
+        throw error;
+    }
+}
+
+/**
+ * Show the step the solver has reached
+ */
+function updateSolveProgress({ label, done, total }) {
+    elements.solveProgressBar.value = done / total;
+    elements.solveProgressLabel.textContent = `${label}… (step ${done + 1} of ${total})`;
+}
+
+/**
+ * Hide the progress indicator
+ */
+function hideSolveProgress() {
+    clearTimeout(appState.progressTimer);
+    elements.solveProgress.hidden = true;
+}
+
+/**
+ * Stop a solve whose instance is out of date, e.g. after an edit
+ */
+function cancelSolve() {
+    solver.cancel();
+    hideSolveProgress();
+}
+
+/**
+ * Replace the results after an edit: re-solve the edited instance, or
+ * clear them while it has errors, so nothing shown (including What-If
+ * suggestions) comes from lists that are no longer there
+ */
+function resolveAfterEdit() {
+    updatePermalink();
+    if (updateDiagnostics()) {
+        clearResults();
+        return;
+    }
+    solveAndUpdate();
+}
+
+/**
+ * Show a matching and its evaluation (blocking pairs, metrics, analysis
+ * and suggestions) under the current solver settings
+ */
+function showMatching(matching, { blockingPairs, metrics, analysis, suggestions }) {
+    // Update app state
+    appState.currentMatching = matching;
+    appState.currentMetrics = metrics;
+    appState.currentBlockingPairs = blockingPairs;
+    appState.currentAnalysis = analysis;
+    appState.currentSuggestions = suggestions;
+    
+    // Update UI
+    showResults();
+    renderResults();
+    renderAssistant();
+    
+    // Enable what-if button if suggestions available
+    elements.whatIfBtn.disabled = suggestions.length === 0;
+}
+
+/**
+ * Show the stable matching picked in the lattice
+ */
+async function handleLatticeSelect(index) {
+    const { matching } = appState.lattice.matchings[index];
+    
+    try {
+        const evaluation = await runSolver({
+            type: 'evaluate',
+            instance: currentInstance(),
+            matching,
+            settings: {
+                notion: appState.stability.notion,
+                objective: elements.objectiveSelect.value,
+                proposerSide: appState.proposerSide
+            }
+        });
+        appState.lattice.selected = index;
+        appState.lattice.picked = true;
+        appState.objective = null;
+        showMatching(matching, evaluation);
+        updatePermalink();
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error('Error evaluating matching:', error);
+        showToast('Error evaluating the matching. Please try again.', 'error');
+    }
+}
+
+/**
+ * Solve the single-pool instance with Irving's algorithm and update the UI
+ */
+async function solveRoommatesAndUpdate() {
+    if (Object.keys(appState.roommates.preferences).length === 0) {
+        throw new Error('Empty preferences detected');
+    }
+    
+    const { matching, oddParties, blockingPairs, metrics } = await runSolver({
+        type: 'solve',
+        instance: currentInstance()
+    });
+    
+    // Suggestions only cover two-sided instances
+    appState.currentMatching = matching;
+    appState.currentMetrics = metrics;
+    appState.currentBlockingPairs = blockingPairs;
+    appState.currentAnalysis = null;
+    appState.currentSuggestions = [];
+    appState.currentOddParties = oddParties;
+    appState.lattice = null;
+    appState.comparison = null;
+    stopReplay();
+    appState.replay = null;
+    
+    showResults();
+    renderResults();
+    renderAssistant();
+    elements.whatIfBtn.disabled = true;
+}
+
+/**
+ * Check whether two one-to-one matchings pair up Group A identically
+ */
+function isSameMatching(first, second) {
+    return appState.participants.groupA.every(a => first[a] === second[a]);
+}
+
 /**
  * Render the complete UI
  */
 function renderUI() {
     renderPreferences();
+    renderTargetSection();
+    updatePermalink();
 }
 
 /**
@@ -277,66 +1389,439 @@ function renderPreferences() {
     // Clear existing content
     elements.groupA.innerHTML = '';
     elements.groupB.innerHTML = '';
+    elements.pool.innerHTML = '';
+    
+    if (isRoommates()) {
+        renderPoolPreferences();
+        updateDiagnostics();
+        return;
+    }
+    renderRankMatrix();
     
     // Render Group A
     appState.participants.groupA.forEach(participantId => {
-        const card = createParticipantCard(participantId, appState.preferences.prefsA[participantId], 'A');
+        const card = createParticipantCard(
+            participantId,
+            appState.preferences.prefsA[participantId],
+            'A',
+            appState.participants.groupB
+        );
         elements.groupA.appendChild(card);
     });
     
     // Render Group B
     appState.participants.groupB.forEach(participantId => {
-        const card = createParticipantCard(participantId, appState.preferences.prefsB[participantId], 'B');
+        const card = createParticipantCard(
+            participantId,
+            appState.preferences.prefsB[participantId],
+            'B',
+            appState.participants.groupA
+        );
         elements.groupB.appendChild(card);
     });
+    
+    updateDiagnostics();
+}
+
+/**
+ * Render one card per pool member, each ranking everyone else
+ */
+function renderPoolPreferences() {
+    const { pool, preferences } = appState.roommates;
+    
+    pool.forEach(participantId => {
+        const card = createParticipantCard(
+            participantId,
+            preferences[participantId],
+            'R',
+            pool.filter(other => other !== participantId)
+        );
+        elements.pool.appendChild(card);
+    });
+}
+
+/**
+ * Handle the preference view being switched; links keep the view
+ */
+function handleViewChange() {
+    updatePreferenceView();
+    updatePermalink();
+}
+
+/**
+ * Show the preferences as cards or as a rank matrix; a single pool always
+ * uses cards
+ */
+function updatePreferenceView() {
+    const matrix = elements.viewSelect.value === 'matrix' && !isRoommates();
+    elements.groupAColumn.hidden = isRoommates() || matrix;
+    elements.groupBColumn.hidden = isRoommates() || matrix;
+    elements.poolColumn.hidden = !isRoommates();
+    elements.matrixColumn.hidden = !matrix;
+    elements.viewSelect.disabled = isRoommates();
+    
+    // Cards are edited in place, so bring the matrix up to date when it shows
+    if (matrix) {
+        renderRankMatrix();
+    }
+}
+
+/**
+ * Render the rank matrix: one row per side A member and one column per
+ * side B member, each cell holding both ranks, coloured as a heatmap and
+ * marked if the pair is matched or blocking. The grid is only rebuilt when
+ * the participants change, so editing a cell keeps the focus.
+ */
+function renderRankMatrix() {
+    const { groupA, groupB } = appState.participants;
+    const table = elements.rankMatrix;
+    const shape = JSON.stringify([groupA, groupB]);
+    if (table.getAttribute('data-shape') !== shape) {
+        buildRankMatrix(groupA, groupB);
+        table.setAttribute('data-shape', shape);
+    }
+    table.querySelector('.matrix-corner').textContent = `${sideLabel('A')} \\ ${sideLabel('B')}`;
+    table.querySelectorAll('th[data-participant]').forEach(header => {
+        header.title = describeAttributes(header.getAttribute('data-participant'));
+    });
+    
+    // Marks are only shown alongside the results they come from, and not
+    // while those are being replaced
+    const { prefsA, prefsB } = appState.preferences;
+    const solved = !isRoommates() && resultsShown() && !solver.isBusy();
+    const matching = solved ? appState.currentMatching : {};
+    const blocking = solved ? appState.currentBlockingPairs : [];
+    
+    table.querySelectorAll('.matrix-cell').forEach(cell => {
+        const a = cell.getAttribute('data-a');
+        const b = cell.getAttribute('data-b');
+        const rankA = rankOf(prefsA[a], b);
+        const rankB = rankOf(prefsB[b], a);
+        const [inputA, inputB] = cell.querySelectorAll('.matrix-rank');
+        inputA.value = rankA === -1 ? '' : rankA + 1;
+        inputB.value = rankB === -1 ? '' : rankB + 1;
+        
+        const colorA = rankA === -1 ? 'transparent' : rankColor(rankA, prefsA[a].length, 0.35);
+        const colorB = rankB === -1 ? 'transparent' : rankColor(rankB, prefsB[b].length, 0.35);
+        cell.style.background = `linear-gradient(to right, ${colorA} 50%, ${colorB} 50%)`;
+        
+        const matched = partnersOf(matching, a).includes(b);
+        const blocks = blocking.some(pair => pair.a === a && pair.b === b);
+        cell.classList.toggle('matched', matched);
+        cell.classList.toggle('blocking', blocks);
+        cell.title = matched ? `${a} and ${b} are matched`
+            : blocks ? `${a} and ${b} form a blocking pair`
+                : '';
+    });
+}
+
+/**
+ * Build the empty rank matrix for the given participants
+ */
+function buildRankMatrix(groupA, groupB) {
+    const table = elements.rankMatrix;
+    table.innerHTML = '';
+    
+    const head = table.createTHead().insertRow();
+    const corner = document.createElement('th');
+    corner.className = 'matrix-corner';
+    head.appendChild(corner);
+    groupB.forEach(b => {
+        const header = document.createElement('th');
+        header.scope = 'col';
+        header.textContent = b;
+        header.setAttribute('data-participant', b);
+        head.appendChild(header);
+    });
+    
+    const body = table.createTBody();
+    groupA.forEach(a => {
+        const row = body.insertRow();
+        const header = document.createElement('th');
+        header.scope = 'row';
+        header.textContent = a;
+        header.setAttribute('data-participant', a);
+        row.appendChild(header);
+        
+        groupB.forEach(b => {
+            const cell = row.insertCell();
+            cell.className = 'matrix-cell';
+            cell.setAttribute('data-a', a);
+            cell.setAttribute('data-b', b);
+            cell.appendChild(createMatrixInput('A', a, b));
+            cell.appendChild(document.createTextNode('/'));
+            cell.appendChild(createMatrixInput('B', b, a));
+        });
+    });
+}
+
+/**
+ * Create the input for one participant's rank of another in the matrix
+ */
+function createMatrixInput(side, person, partner) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.inputMode = 'numeric';
+    input.className = 'matrix-rank';
+    input.placeholder = '✕';
+    input.setAttribute('data-side', side);
+    input.setAttribute('data-person', person);
+    input.setAttribute('data-partner', partner);
+    input.setAttribute('aria-label', `${person}'s rank of ${partner}`);
+    input.addEventListener('change', () => handleMatrixRankChange(input));
+    return input;
+}
+
+/**
+ * Move a partner to the rank typed into the matrix, or make them
+ * unacceptable if the cell was cleared
+ */
+function handleMatrixRankChange(input) {
+    const side = input.getAttribute('data-side');
+    const person = input.getAttribute('data-person');
+    const partner = input.getAttribute('data-partner');
+    const lists = side === 'A' ? appState.preferences.prefsA : appState.preferences.prefsB;
+    const list = lists[person];
+    
+    const text = input.value.trim();
+    const rank = text === '' ? null : Number(text);
+    if (rank !== null && !(Number.isInteger(rank) && rank >= 1)) {
+        showToast('Ranks are whole numbers from 1; clear the cell to make someone unacceptable', 'error');
+        renderRankMatrix();
+        return;
+    }
+    const current = rankOf(list, partner);
+    if (rank === (current === -1 ? null : current + 1)) {
+        renderRankMatrix();
+        return;
+    }
+    
+    const updated = moveToRank(list, partner, rank);
+    const change = describeListChange(person, list, updated);
+    lists[person] = updated;
+    if (change) {
+        recordHistory(change);
+    }
+    
+    // Re-solving first keeps the old marks off the redrawn matrix, and the
+    // rebuilt cards need their diagnostics flags again
+    resolveAfterEdit();
+    renderPreferences();
+    renderDiagnostics();
 }
 
 /**
  * Create a participant card with draggable preference list
+ * 
+ * Candidates missing from the preference list are shown below a cutoff
+ * line as unacceptable; dragging an item across the line toggles that.
+ * Tied entries are listed one after another and share a rank.
  */
-function createParticipantCard(participantId, preferences, group) {
+function createParticipantCard(participantId, preferences, group, candidates) {
     const card = document.createElement('div');
     card.className = 'participant-card';
     
     const header = document.createElement('div');
     header.className = 'participant-header';
     
-    const idBadge = document.createElement('span');
+    const idBadge = document.createElement('input');
+    idBadge.type = 'text';
     idBadge.className = 'participant-id';
-    idBadge.textContent = participantId;
+    idBadge.value = participantId;
+    idBadge.size = Math.max(3, participantId.length);
+    idBadge.spellcheck = false;
+    idBadge.title = 'Rename';
+    idBadge.setAttribute('aria-label', `Name of ${participantId}`);
+    idBadge.addEventListener('change', () => handleRenameParticipant(group, participantId, idBadge));
     
     const label = document.createElement('span');
-    label.textContent = 'Preferences (drag to reorder):';
+    label.textContent = 'Preferences (drag to reorder, = to tie, below the line = unacceptable):';
     
     header.appendChild(idBadge);
     header.appendChild(label);
     
+    if (group === 'B' && isManyToOne()) {
+        header.appendChild(createCapacityField(participantId));
+    }
+    
     const list = document.createElement('ol');
     list.className = 'preference-list';
     list.setAttribute('data-participant', participantId);
     list.setAttribute('data-group', group);
     
-    // Add preference items
-    preferences.forEach((pref, index) => {
-        const item = createPreferenceItem(pref, index + 1);
-        list.appendChild(item);
+    // Add acceptable preference items, one per member of each tie
+    preferences.forEach((entry, index) => {
+        const tie = Array.isArray(entry) ? entry : [entry];
+        tie.forEach((pref, position) => {
+            const item = createPreferenceItem(pref, index + 1, position > 0);
+            list.appendChild(item);
+        });
     });
     
+    // Add the cutoff line followed by everyone left off the list
+    const listed = flattenPreferences(preferences);
+    list.appendChild(createCutoffItem());
+    candidates
+        .filter(candidate => !listed.includes(candidate))
+        .forEach(candidate => {
+            list.appendChild(createPreferenceItem(candidate, null));
+        });
+    
     // Set up drag and drop for the list
     setupDragAndDrop(list);
     
     card.appendChild(header);
+    card.appendChild(createAttributesField(participantId));
     card.appendChild(list);
     
     return card;
 }
 
 /**
- * Create a draggable preference item
+ * Check a new name for a participant, returning the problem with it if any.
+ * Any other text is allowed, as it is for imported IDs.
+ */
+function checkParticipantName(name, current) {
+    if (name === '') return 'Names cannot be empty';
+    const taken = isRoommates()
+        ? appState.roommates.pool
+        : [...appState.participants.groupA, ...appState.participants.groupB];
+    if (name !== current && taken.includes(name)) return `${name} is already taken`;
+    return null;
+}
+
+/**
+ * Rename a participant everywhere: in their group, in every list that
+ * ranks them, and in their capacity, attributes and target pairs
+ */
+function handleRenameParticipant(group, from, input) {
+    const to = input.value.trim();
+    const problem = checkParticipantName(to, from);
+    if (problem || to === from) {
+        input.value = from;
+        if (problem) showToast(problem, 'error');
+        return;
+    }
+    
+    const rename = id => (id === from ? to : id);
+    const renameKey = values => Object.fromEntries(Object.entries(values).map(([id, value]) => [rename(id), value]));
+    if (group === 'R') {
+        const { pool, preferences, attributes } = appState.roommates;
+        appState.roommates = {
+            pool: pool.map(rename),
+            preferences: renameParticipant(preferences, from, to),
+            attributes: renameKey(attributes)
+        };
+    } else {
+        const { groupA, groupB } = appState.participants;
+        const { prefsA, prefsB } = appState.preferences;
+        appState.participants = { groupA: groupA.map(rename), groupB: groupB.map(rename) };
+        appState.preferences = {
+            prefsA: renameParticipant(prefsA, from, to),
+            prefsB: renameParticipant(prefsB, from, to)
+        };
+        appState.capacities = renameKey(appState.capacities);
+        appState.attributes = renameKey(appState.attributes);
+        appState.target.pairs = appState.target.pairs.map(({ a, b }) => ({ a: rename(a), b: rename(b) }));
+    }
+    
+    // An applied lie is compared with truthful lists under the old name
+    appState.manipulation.applied = null;
+    recordHistory(`Renamed ${from} to ${to}`);
+    renderUI();
+    solveAndUpdate();
+}
+
+/**
+ * Create the attributes input shown on every card, e.g. "age: 34, city: Leeds"
+ */
+function createAttributesField(participantId) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'participant-attributes';
+    input.placeholder = 'Attributes, e.g. age: 34, city: Leeds';
+    input.setAttribute('aria-label', `Attributes of ${participantId}`);
+    input.value = describeAttributes(participantId);
+    input.addEventListener('change', () => {
+        const attributes = parseAttributes(input.value);
+        if (!attributes) {
+            showToast('Write attributes as name: value, separated by commas', 'error');
+            input.value = describeAttributes(participantId);
+            return;
+        }
+        
+        const previous = describeAttributes(participantId);
+        const all = currentAttributes();
+        if (Object.keys(attributes).length > 0) {
+            all[participantId] = attributes;
+        } else {
+            delete all[participantId];
+        }
+        input.value = describeAttributes(participantId);
+        if (input.value !== previous) {
+            recordHistory(`${participantId}: ${input.value === '' ? 'cleared attributes' : `attributes ${input.value}`}`);
+        }
+        if (resultsShown()) renderResults();
+    });
+    return input;
+}
+
+/**
+ * Parse attributes written as "name: value, name: value"; numeric values
+ * become numbers. Returns null if the text is not in that form.
+ */
+function parseAttributes(text) {
+    const attributes = {};
+    const entries = text.split(',').map(entry => entry.trim()).filter(entry => entry !== '');
+    for (const entry of entries) {
+        const colon = entry.indexOf(':');
+        const name = entry.slice(0, colon).trim();
+        const value = entry.slice(colon + 1).trim();
+        if (colon === -1 || name === '' || value === '') return null;
+        attributes[name] = Number.isFinite(Number(value)) ? Number(value) : value;
+    }
+    return attributes;
+}
+
+/**
+ * Create the capacity input shown on Group B cards in many-to-one mode
+ */
+function createCapacityField(participantId) {
+    const field = document.createElement('label');
+    field.className = 'capacity-field';
+    field.textContent = 'Capacity';
+    
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '1';
+    input.max = String(appState.participants.groupA.length);
+    input.value = appState.capacities[participantId];
+    input.addEventListener('change', () => {
+        const capacity = parseInt(input.value);
+        if (Number.isInteger(capacity) && capacity >= 1) {
+            const previous = appState.capacities[participantId];
+            appState.capacities[participantId] = capacity;
+            if (capacity !== previous) {
+                recordHistory(`${participantId}: capacity ${previous} to ${capacity}`);
+            }
+            resolveAfterEdit();
+        } else {
+            input.value = appState.capacities[participantId];
+        }
+    });
+    
+    field.appendChild(input);
+    return field;
+}
+
+/**
+ * Create a draggable preference item (rank is null for unacceptable entries).
+ * A tied item shares its rank with the item above it.
  */
-function createPreferenceItem(preference, rank) {
+function createPreferenceItem(preference, rank, tied = false) {
     const item = document.createElement('li');
-    item.className = 'preference-item';
+    item.className = rank === null ? 'preference-item unacceptable' : 'preference-item';
+    item.classList.toggle('tied', tied);
     item.draggable = true;
     item.setAttribute('data-preference', preference);
     item.setAttribute('tabindex', '0');
@@ -346,14 +1831,44 @@ function createPreferenceItem(preference, rank) {
     
     const rankBadge = document.createElement('span');
     rankBadge.className = 'preference-rank';
-    rankBadge.textContent = rank;
+    rankBadge.textContent = rank === null ? '✕' : rank;
+    
+    const tieToggle = document.createElement('button');
+    tieToggle.type = 'button';
+    tieToggle.className = 'tie-toggle';
+    tieToggle.textContent = '=';
+    tieToggle.title = 'Tie with the entry above';
+    tieToggle.tabIndex = -1;
+    tieToggle.addEventListener('click', () => toggleTie(item));
     
     item.appendChild(text);
+    item.appendChild(tieToggle);
     item.appendChild(rankBadge);
     
     return item;
 }
 
+/**
+ * Toggle whether an item is tied with the item above it
+ */
+function toggleTie(item) {
+    const list = item.closest('.preference-list');
+    item.classList.toggle('tied');
+    updatePreferenceOrder(list);
+    updateRankBadges(list);
+}
+
+/**
+ * Create the cutoff line separating acceptable from unacceptable entries
+ */
+function createCutoffItem() {
+    const cutoff = document.createElement('li');
+    cutoff.className = 'preference-cutoff';
+    cutoff.setAttribute('aria-label', 'Entries below this line are unacceptable');
+    cutoff.textContent = 'Unacceptable';
+    return cutoff;
+}
+
 /**
  * Set up drag and drop functionality for a preference list
  */
@@ -378,14 +1893,23 @@ function setupDragAndDrop(list) {
     }
     
     // Apply listeners to existing items
-    Array.from(list.children).forEach(addItemListeners);
+    Array.from(list.querySelectorAll('.preference-item')).forEach(addItemListeners);
+    
+    // The cutoff line is a drop target but cannot be dragged itself
+    const cutoff = list.querySelector('.preference-cutoff');
+    if (cutoff) {
+        cutoff.addEventListener('dragover', handleDragOver);
+        cutoff.addEventListener('drop', handleDrop);
+        cutoff.addEventListener('dragenter', handleDragEnter);
+        cutoff.addEventListener('dragleave', handleDragLeave);
+    }
     
     function handleMouseDown(e) {
         const rect = e.target.getBoundingClientRect();
         mouseOffset.x = e.clientX - rect.left;
         mouseOffset.y = e.clientY - rect.top;
     }
-
+    
     function handleDragStart(e) {
         draggedItem = e.target;
         draggedFromIndex = Array.from(list.children).indexOf(draggedItem);
@@ -427,7 +1951,7 @@ function setupDragAndDrop(list) {
     }
     
     function handleDragEnter(e) {
-        if (e.target !== draggedItem && e.target.classList.contains('preference-item')) {
+        if (e.target !== draggedItem && isDropTarget(e.target)) {
             // Remove drag-over from all other items first
             Array.from(list.children).forEach(item => {
                 if (item !== e.target) {
@@ -447,11 +1971,14 @@ function setupDragAndDrop(list) {
     
     function handleDrop(e) {
         e.preventDefault();
-        const dropTarget = e.target.closest('.preference-item');
+        const dropTarget = e.target.closest('.preference-item, .preference-cutoff');
         
         if (dropTarget && dropTarget !== draggedItem) {
             const dropIndex = Array.from(list.children).indexOf(dropTarget);
             
+            // A moved item leaves whatever tie it was part of
+            draggedItem.classList.remove('tied');
+            
             // Reorder the items in the DOM
             if (draggedFromIndex < dropIndex) {
                 list.insertBefore(draggedItem, dropTarget.nextSibling);
@@ -472,7 +1999,12 @@ function setupDragAndDrop(list) {
         });
     }
     
-    function handleDragEnd(e) {
+    function isDropTarget(element) {
+        return element.classList.contains('preference-item') ||
+            element.classList.contains('preference-cutoff');
+    }
+    
+    function handleDragEnd(e) {
         e.target.classList.remove('dragging');
         draggedItem = null;
         draggedFromIndex = -1;
@@ -484,6 +2016,12 @@ function setupDragAndDrop(list) {
     }
     
     function handleKeyDown(e) {
+        if (e.key === '=') {
+            e.preventDefault();
+            toggleTie(e.target);
+            return;
+        }
+        
         if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
             e.preventDefault();
             const currentItem = e.target;
@@ -493,7 +2031,8 @@ function setupDragAndDrop(list) {
             if (newIndex >= 0 && newIndex < list.children.length) {
                 const targetItem = list.children[newIndex];
                 
-                // Swap the items
+                // Swap the items, leaving any tie
+                currentItem.classList.remove('tied');
                 if (e.key === 'ArrowUp') {
                     list.insertBefore(currentItem, targetItem);
                 } else {
@@ -516,24 +2055,58 @@ function updatePreferenceOrder(list) {
     const participantId = list.getAttribute('data-participant');
     const group = list.getAttribute('data-group');
     
-    const newOrder = Array.from(list.children).map(item => 
-        item.getAttribute('data-preference')
-    );
+    // Only the entries above the cutoff line are acceptable; tied items
+    // join the entry before them
+    const newOrder = [];
+    for (const item of list.children) {
+        if (item.classList.contains('preference-cutoff')) break;
+        const preference = item.getAttribute('data-preference');
+        
+        if (item.classList.contains('tied') && newOrder.length > 0) {
+            const previous = newOrder[newOrder.length - 1];
+            newOrder[newOrder.length - 1] = Array.isArray(previous)
+                ? [...previous, preference]
+                : [previous, preference];
+        } else {
+            newOrder.push(preference);
+        }
+    }
     
-    if (group === 'A') {
-        appState.preferences.prefsA[participantId] = newOrder;
-    } else {
-        appState.preferences.prefsB[participantId] = newOrder;
+    const lists = group === 'R' ? appState.roommates.preferences
+        : group === 'A' ? appState.preferences.prefsA
+        : appState.preferences.prefsB;
+    const change = describeListChange(participantId, lists[participantId], newOrder);
+    lists[participantId] = newOrder;
+    if (change) {
+        recordHistory(change);
     }
+    resolveAfterEdit();
 }
 
 /**
  * Update rank badges after reordering
  */
 function updateRankBadges(list) {
-    Array.from(list.children).forEach((item, index) => {
+    let rank = 0;
+    let belowCutoff = false;
+    
+    Array.from(list.children).forEach(item => {
+        if (item.classList.contains('preference-cutoff')) {
+            belowCutoff = true;
+            return;
+        }
+        
+        // The first entry and unacceptable entries cannot be tied
+        if (rank === 0 || belowCutoff) {
+            item.classList.remove('tied');
+        }
+        if (!item.classList.contains('tied')) {
+            rank++;
+        }
+        
         const rankBadge = item.querySelector('.preference-rank');
-        rankBadge.textContent = index + 1;
+        rankBadge.textContent = belowCutoff ? '✕' : rank;
+        item.classList.toggle('unacceptable', belowCutoff);
     });
 }
 
@@ -545,13 +2118,26 @@ function showResults() {
     elements.resultsContent.style.display = 'block';
 }
 
+/**
+ * Check whether results are on screen; after clearResults the last
+ * matching is kept but may name participants who are gone
+ */
+function resultsShown() {
+    return Boolean(appState.currentMatching) && elements.resultsContent.style.display !== 'none';
+}
+
 /**
  * Clear results and show empty state
  */
 function clearResults() {
+    cancelSolve();
+    stopReplay();
     elements.emptyState.style.display = 'block';
     elements.resultsContent.style.display = 'none';
     elements.whatIfBtn.disabled = true;
+    if (!isRoommates()) {
+        renderRankMatrix();
+    }
 }
 
 /**
@@ -559,9 +2145,17 @@ function clearResults() {
  */
 function renderResults() {
     renderMatchingTable();
+    if (!isRoommates()) {
+        renderRankMatrix();
+    }
     renderMetrics();
+    renderUnmatched();
     renderBlockingPairs();
     renderBipartiteDiagram();
+    renderReplay();
+    renderLattice();
+    renderComparison();
+    renderManipulation();
 }
 
 /**
@@ -572,22 +2166,96 @@ function renderMatchingTable() {
     
     if (!appState.currentMatching) return;
     
+    const [headerA, headerB] = elements.matchingHeaders;
+    headerA.textContent = isRoommates() ? 'Participant' : sideLabel('A');
+    headerB.textContent = isRoommates() ? 'Partner' : sideLabel('B');
+    
+    if (isRoommates()) {
+        renderRoommatesMatchingTable();
+        return;
+    }
+    
+    if (isManyToOne()) {
+        renderCapacitatedMatchingTable();
+        return;
+    }
+    
     appState.participants.groupA.forEach(a => {
         const b = appState.currentMatching[a];
-        if (b) {
-            const row = document.createElement('tr');
-            
-            const cellA = document.createElement('td');
-            cellA.textContent = a;
-            
-            const cellB = document.createElement('td');
-            cellB.textContent = b;
-            
-            row.appendChild(cellA);
-            row.appendChild(cellB);
-            elements.matchingTable.appendChild(row);
+        elements.matchingTable.appendChild(createMatchingRow(a, b));
+    });
+    
+    // List single Group B participants after the pairs
+    appState.participants.groupB
+        .filter(b => !appState.currentMatching[b])
+        .forEach(b => {
+            elements.matchingTable.appendChild(createMatchingRow(null, b));
+        });
+}
+
+/**
+ * Render each roommate pair once, followed by everyone left single
+ */
+function renderRoommatesMatchingTable() {
+    const { pool } = appState.roommates;
+    const matching = appState.currentMatching;
+    
+    pool.forEach(p => {
+        const partner = matching[p];
+        if (partner && pool.indexOf(p) < pool.indexOf(partner)) {
+            elements.matchingTable.appendChild(createMatchingRow(p, partner));
         }
     });
+    
+    pool
+        .filter(p => !matching[p])
+        .forEach(p => {
+            elements.matchingTable.appendChild(createMatchingRow(p, null));
+        });
+}
+
+/**
+ * Render one row per Group B member listing all of their assignees
+ */
+function renderCapacitatedMatchingTable() {
+    appState.participants.groupB.forEach(b => {
+        const residents = partnersOf(appState.currentMatching, b);
+        const row = createMatchingRow(
+            residents.length > 0 ? residents.join(', ') : null,
+            `${b} (${residents.length}/${appState.capacities[b]})`
+        );
+        row.cells[1].title = describeAttributes(b);
+        elements.matchingTable.appendChild(row);
+    });
+    
+    // List unassigned Group A participants after the groups
+    appState.participants.groupA
+        .filter(a => !appState.currentMatching[a])
+        .forEach(a => {
+            elements.matchingTable.appendChild(createMatchingRow(a, null));
+        });
+}
+
+/**
+ * Create a matching table row, marking a missing side as single
+ */
+function createMatchingRow(a, b) {
+    const row = document.createElement('tr');
+    if (!a || !b) {
+        row.className = 'unmatched-row';
+    }
+    
+    const cellA = document.createElement('td');
+    cellA.textContent = a || '— single';
+    cellA.title = describeAttributes(a);
+    
+    const cellB = document.createElement('td');
+    cellB.textContent = b || '— single';
+    cellB.title = describeAttributes(b);
+    
+    row.appendChild(cellA);
+    row.appendChild(cellB);
+    return row;
 }
 
 /**
@@ -600,8 +2268,70 @@ function renderMetrics() {
     
     elements.stabilityScore.textContent = metrics.stabilityScore.toFixed(3);
     elements.avgHappiness.textContent = metrics.avgHappiness.toFixed(3);
+    
+    // A single pool has no proposing or receiving side
+    if (isRoommates()) {
+        elements.proposerSatisfaction.textContent = '—';
+        elements.receiverSatisfaction.textContent = '—';
+        elements.unmatchedCount.textContent = metrics.unmatched.length;
+        elements.egalitarianCost.textContent = '—';
+        elements.regret.textContent = '—';
+        elements.sexEqualityCost.textContent = '—';
+        return;
+    }
+    
+    elements.egalitarianCost.textContent = metrics.egalitarianCost;
+    elements.regret.textContent = metrics.regret;
+    elements.sexEqualityCost.textContent = metrics.sexEqualityCost;
+    
     elements.proposerSatisfaction.textContent = metrics.proposerSatisfaction.toFixed(3);
     elements.receiverSatisfaction.textContent = metrics.receiverSatisfaction.toFixed(3);
+    elements.unmatchedCount.textContent = metrics.unmatchedA.length + metrics.unmatchedB.length;
+}
+
+/**
+ * Render the participants left without a partner, per side
+ */
+function renderUnmatched() {
+    elements.unmatchedList.innerHTML = '';
+    
+    if (!appState.currentMetrics) return;
+    
+    const { unmatchedA = [], unmatchedB = [], unmatched = [] } = appState.currentMetrics;
+    
+    if (isRoommates() && unmatched.length > 0) {
+        const row = document.createElement('div');
+        row.className = 'unmatched-group';
+        row.textContent = `Pool: ${unmatched.join(', ')}`;
+        elements.unmatchedList.appendChild(row);
+        return;
+    }
+    
+    if (unmatchedA.length === 0 && unmatchedB.length === 0) {
+        const everyone = document.createElement('div');
+        everyone.className = 'no-unmatched';
+        everyone.textContent = 'Everyone has a partner.';
+        elements.unmatchedList.appendChild(everyone);
+        return;
+    }
+    
+    [[sideLabel('A'), unmatchedA], [sideLabel('B'), unmatchedB]].forEach(([label, singles]) => {
+        if (singles.length === 0) return;
+        
+        const row = document.createElement('div');
+        row.className = 'unmatched-group';
+        row.textContent = `${label}: ${singles.join(', ')}`;
+        elements.unmatchedList.appendChild(row);
+    });
+    
+    // With capacities, partly filled Group B members still have room
+    const openPlaces = Object.entries(appState.currentMetrics.openPlaces);
+    if (isManyToOne() && openPlaces.length > 0) {
+        const row = document.createElement('div');
+        row.className = 'unmatched-group';
+        row.textContent = `Open places: ${openPlaces.map(([b, open]) => `${b} (${open})`).join(', ')}`;
+        elements.unmatchedList.appendChild(row);
+    }
 }
 
 /**
@@ -616,83 +2346,429 @@ function renderBlockingPairs() {
         noBlocking.textContent = '✓ No blocking pairs - the matching is stable!';
         elements.blockingPairsList.appendChild(noBlocking);
     } else {
-        appState.currentBlockingPairs.forEach(({ a, b }) => {
+        appState.currentBlockingPairs.forEach(({ a, b, kind }) => {
             const pairDiv = document.createElement('div');
             pairDiv.className = 'blocking-pair';
-            pairDiv.textContent = `${a} and ${b} prefer each other over their current partners`;
+            pairDiv.textContent = describeBlockingPair(a, b, kind);
             elements.blockingPairsList.appendChild(pairDiv);
         });
     }
 }
 
 /**
- * Render the bipartite diagram
+ * Describe why a pair blocks, calling out participants who are single and
+ * pairs that only block because of indifference
+ */
+function describeBlockingPair(a, b, kind) {
+    const aSingle = !appState.currentMatching[a];
+    const bSingle = !appState.currentMatching[b];
+    
+    if (kind === 'super') {
+        return `${a} and ${b} like each other as much as their current partners (blocks super-stability)`;
+    }
+    if (kind === 'strong') {
+        return `${a} and ${b} would be at least as happy together, and one strictly prefers it (blocks strong stability)`;
+    }
+    
+    if (isManyToOne()) {
+        const aWants = aSingle ? `${a} is unassigned` : `${a} prefers ${b} over their current group`;
+        const openPlace = partnersOf(appState.currentMatching, b).length < appState.capacities[b];
+        return openPlace
+            ? `${aWants} and ${b} still has a free place`
+            : `${aWants} and ${b} prefers ${a} over its least preferred member`;
+    }
+    
+    if (aSingle && bSingle) {
+        return `${a} and ${b} are both single but find each other acceptable`;
+    }
+    if (aSingle || bSingle) {
+        const single = aSingle ? a : b;
+        const other = aSingle ? b : a;
+        return `${single} is single and ${other} prefers them over their current partner`;
+    }
+    return `${a} and ${b} prefer each other over their current partners`;
+}
+
+/**
+ * Render the matching diagram as SVG: matched pairs coloured by how each
+ * side ranks the other, blocking pairs dashed
  */
 function renderBipartiteDiagram() {
-    elements.diagramContainer.innerHTML = '';
+    const container = elements.diagramContainer;
+    container.innerHTML = '';
+    elements.diagramSvgBtn.disabled = !appState.currentMatching;
+    elements.diagramPngBtn.disabled = !appState.currentMatching;
     
     if (!appState.currentMatching) return;
     
-    const container = elements.diagramContainer;
-    const containerRect = container.getBoundingClientRect();
-    const width = containerRect.width || 300;
-    const height = 200;
+    const diagram = isRoommates() ? createRoommatesDiagram() : createMatchingDiagram();
+    const tooltip = document.createElement('div');
+    tooltip.className = 'diagram-tooltip';
+    tooltip.hidden = true;
     
-    // Create left side (Group A)
-    const leftSide = document.createElement('div');
-    leftSide.className = 'diagram-side left';
+    container.appendChild(diagram.svg);
+    container.appendChild(tooltip);
+    setupDiagramHover(container, diagram, tooltip);
+}
+
+/**
+ * Draw the two groups facing each other, with the matching on show (the
+ * tentative one while replaying) and, for a final matching, its blocking pairs
+ */
+function createMatchingDiagram() {
+    const { groupA, groupB } = appState.participants;
+    const { prefsA, prefsB } = appState.preferences;
+    const matching = diagramMatching();
+    const replaying = matching !== appState.currentMatching;
+    const diagram = createDiagram(bipartitePositions(groupA, groupB), `Matching between ${sideLabel('A')} and ${sideLabel('B')}`);
     
-    appState.participants.groupA.forEach((a, index) => {
-        const node = document.createElement('div');
-        node.className = 'diagram-node';
-        node.textContent = a;
-        node.setAttribute('data-participant', a);
-        leftSide.appendChild(node);
+    groupA.forEach(a => {
+        const b = matching[a];
+        if (b) addRankedLine(diagram, a, b, prefsA[a], prefsB[b]);
     });
+    if (!replaying) {
+        appState.currentBlockingPairs.forEach(({ a, b, kind }) => {
+            const line = addDiagramLine(diagram, a, b, 'blocking');
+            line.appendChild(svgElement('title', {}, describeBlockingPair(a, b, kind)));
+        });
+    }
     
-    // Create right side (Group B)
-    const rightSide = document.createElement('div');
-    rightSide.className = 'diagram-side right';
+    // Highlight the step being replayed
+    const event = currentReplayEvent();
+    if (event) {
+        addDiagramLine(diagram, event.proposer, event.receiver, `replay-edge replay-${event.type}`);
+    }
     
-    appState.participants.groupB.forEach((b, index) => {
-        const node = document.createElement('div');
-        node.className = 'diagram-node';
-        node.textContent = b;
-        node.setAttribute('data-participant', b);
-        rightSide.appendChild(node);
+    [...groupA, ...groupB].forEach(id => {
+        addDiagramNode(diagram, id, partnersOf(matching, id).length === 0 ? 'single' : '');
     });
+    return diagram;
+}
+
+/**
+ * Draw the single pool on a circle, joining roommates and tracing each odd
+ * party as a dashed cycle
+ */
+function createRoommatesDiagram() {
+    const { pool, preferences } = appState.roommates;
+    const matching = appState.currentMatching;
+    const oddMembers = new Set(appState.currentOddParties.flat());
+    const { width, poolHeight } = DIAGRAM_LAYOUT;
+    const radius = poolHeight / 2 - DIAGRAM_LAYOUT.padding - 14;
     
-    container.appendChild(leftSide);
-    container.appendChild(rightSide);
+    const positions = new Map(pool.map((p, index) => {
+        const angle = (2 * Math.PI * index) / pool.length - Math.PI / 2;
+        return [p, { x: width / 2 + radius * 1.4 * Math.cos(angle), y: poolHeight / 2 + radius * Math.sin(angle) }];
+    }));
+    const diagram = createDiagram(positions, 'Roommate pairs');
     
-    // Add edges after nodes are in DOM
-    setTimeout(() => {
-        addDiagramEdges(container);
-    }, 0);
+    pool.forEach(p => {
+        const partner = matching[p];
+        if (partner && pool.indexOf(p) < pool.indexOf(partner)) {
+            addRankedLine(diagram, p, partner, preferences[p], preferences[partner]);
+        }
+    });
+    appState.currentOddParties.forEach(party => {
+        party.forEach((p, index) => {
+            addDiagramLine(diagram, p, party[(index + 1) % party.length], 'odd-party');
+        });
+    });
+    
+    pool.forEach(p => {
+        addDiagramNode(diagram, p, oddMembers.has(p) ? 'odd-party' : matching[p] ? '' : 'single');
+    });
+    return diagram;
 }
 
 /**
- * Add edges to the bipartite diagram
+ * Place side A in a column on the left and side B on the right, each
+ * spread evenly over the height
  */
-function addDiagramEdges(container) {
-    if (!appState.currentMatching) return;
+function bipartitePositions(groupA, groupB) {
+    const { width, rowHeight, padding } = DIAGRAM_LAYOUT;
+    const height = Math.max(groupA.length, groupB.length, 1) * rowHeight;
+    const positions = new Map();
     
-    appState.participants.groupA.forEach(a => {
-        const b = appState.currentMatching[a];
-        if (!b) return;
-        
-        const nodeA = container.querySelector(`[data-participant="${a}"]`);
-        const nodeB = container.querySelector(`[data-participant="${b}"]`);
+    [[groupA, 'A'], [groupB, 'B']].forEach(([group, side]) => {
+        const widest = Math.max(0, ...group.map(nodeWidth));
+        const x = side === 'A' ? padding + widest / 2 : width - padding - widest / 2;
+        group.forEach((id, index) => {
+            positions.set(id, { x, y: padding + ((index + 0.5) * height) / group.length });
+        });
+    });
+    return positions;
+}
+
+/**
+ * Start an SVG diagram, with a layer of lines under a layer of nodes,
+ * tall enough for the lowest of the given node positions
+ */
+function createDiagram(positions, label) {
+    const { width, padding } = DIAGRAM_LAYOUT;
+    const lowest = Math.max(0, ...[...positions.values()].map(({ y }) => y));
+    const svg = svgElement('svg', {
+        viewBox: `0 0 ${width} ${Math.ceil(lowest + padding + 14)}`,
+        class: 'diagram-svg',
+        role: 'img',
+        'aria-label': label
+    });
+    const lines = svg.appendChild(svgElement('g', { class: 'diagram-lines' }));
+    const nodes = svg.appendChild(svgElement('g', { class: 'diagram-nodes' }));
+    return { svg, lines, nodes, positions };
+}
+
+/**
+ * Get the width of a participant's node, wide enough for their name
+ */
+function nodeWidth(participantId) {
+    return Math.max(28, participantId.length * 7 + 16);
+}
+
+/**
+ * Add a participant's node to a diagram
+ */
+function addDiagramNode(diagram, participantId, className = '') {
+    const { x, y } = diagram.positions.get(participantId);
+    const width = nodeWidth(participantId);
+    const node = svgElement('g', {
+        class: `diagram-node ${className}`.trim(),
+        transform: `translate(${x} ${y})`,
+        'data-participant': participantId
+    });
+    node.appendChild(svgElement('rect', { x: -width / 2, y: -14, width, height: 28, rx: 14 }));
+    node.appendChild(svgElement('text', { 'text-anchor': 'middle', dy: '0.35em' }, participantId));
+    diagram.nodes.appendChild(node);
+    return node;
+}
+
+/**
+ * Add a straight line between two participants' nodes
+ */
+function addDiagramLine(diagram, from, to, className = '') {
+    const start = diagram.positions.get(from);
+    const end = diagram.positions.get(to);
+    const line = svgElement('line', {
+        x1: start.x,
+        y1: start.y,
+        x2: end.x,
+        y2: end.y,
+        class: `diagram-line ${className}`.trim(),
+        'data-from': from,
+        'data-to': to
+    });
+    diagram.lines.appendChild(line);
+    return line;
+}
+
+/**
+ * Add a matched pair as two half lines, each coloured by how that end
+ * ranks the other, from green for a first choice to red for a last one
+ */
+function addRankedLine(diagram, from, to, fromList, toList) {
+    const start = diagram.positions.get(from);
+    const end = diagram.positions.get(to);
+    const middle = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+    const group = svgElement('g', { class: 'diagram-line matched', 'data-from': from, 'data-to': to });
+    
+    [[start, fromList, to], [end, toList, from]].forEach(([point, list, partner]) => {
+        const half = svgElement('line', { x1: point.x, y1: point.y, x2: middle.x, y2: middle.y });
+        half.style.stroke = rankColor(rankOf(list, partner), list.length);
+        group.appendChild(half);
+    });
+    group.appendChild(svgElement('title', {},
+        `${from} ranks ${to} #${rankOf(fromList, to) + 1}, ${to} ranks ${from} #${rankOf(toList, from) + 1}`));
+    diagram.lines.appendChild(group);
+    return group;
+}
+
+/**
+ * Find the 0-based rank of a partner in a preference list (tied partners
+ * share a rank), or -1 if they are not on it
+ */
+function rankOf(list, partner) {
+    return list.findIndex(entry => [entry].flat().includes(partner));
+}
+
+/**
+ * Colour a rank on a scale from green (first) through yellow to red (last),
+ * translucent for backgrounds if alpha is below 1
+ */
+function rankColor(rank, length, alpha = 1) {
+    if (rank < 0) return 'gray';
+    const hue = Math.round(length > 1 ? 130 * (1 - rank / (length - 1)) : 130);
+    return alpha < 1 ? `hsla(${hue}, 65%, 45%, ${alpha})` : `hsl(${hue}, 65%, 45%)`;
+}
+
+/**
+ * Show a participant's full preference list when their node is hovered or
+ * focused, highlighting their lines and everyone at the other end
+ */
+function setupDiagramHover(container, diagram, tooltip) {
+    const preferencesOf = id => {
+        const sources = isRoommates()
+            ? [appState.roommates.preferences]
+            : [appState.preferences.prefsA, appState.preferences.prefsB];
+        const source = sources.find(preferences => Object.hasOwn(preferences, id));
+        return source ? source[id] : [];
+    };
+    
+    const clear = () => {
+        tooltip.hidden = true;
+        diagram.svg.classList.remove('hovering');
+        diagram.svg.querySelectorAll('.highlighted').forEach(element => element.classList.remove('highlighted'));
+    };
+    
+    const nodes = Array.from(diagram.nodes.querySelectorAll('.diagram-node'));
+    nodes.forEach(node => {
+        const id = node.getAttribute('data-participant');
+        node.setAttribute('tabindex', '0');
+        node.setAttribute('aria-label', `${id}: ${formatPreferenceList(preferencesOf(id)) || 'nobody acceptable'}`);
         
-        if (nodeA && nodeB) {
-            const edge = createEdge(nodeA, nodeB, container);
-            container.appendChild(edge);
-        }
+        const show = () => {
+            clear();
+            diagram.svg.classList.add('hovering');
+            node.classList.add('highlighted');
+            diagram.lines.querySelectorAll('.diagram-line').forEach(line => {
+                const ends = [line.getAttribute('data-from'), line.getAttribute('data-to')];
+                if (!ends.includes(id)) return;
+                line.classList.add('highlighted');
+                const other = ends[0] === id ? ends[1] : ends[0];
+                nodes.find(candidate => candidate.getAttribute('data-participant') === other).classList.add('highlighted');
+            });
+            fillDiagramTooltip(tooltip, id, preferencesOf(id));
+            placeDiagramTooltip(container, node, tooltip);
+        };
+        node.addEventListener('mouseenter', show);
+        node.addEventListener('focus', show);
+        node.addEventListener('mouseleave', clear);
+        node.addEventListener('blur', clear);
+    });
+}
+
+/**
+ * Fill the diagram tooltip with a participant's ranked list, marking
+ * whoever they are matched with
+ */
+function fillDiagramTooltip(tooltip, id, list) {
+    const partners = partnersOf(isRoommates() ? appState.currentMatching : diagramMatching(), id);
+    tooltip.innerHTML = '';
+    
+    const title = document.createElement('strong');
+    title.textContent = id;
+    tooltip.appendChild(title);
+    
+    const details = [describeAttributes(id)];
+    if (isManyToOne() && Object.hasOwn(appState.capacities, id)) {
+        details.unshift(`${partners.length}/${appState.capacities[id]} places filled`);
+    }
+    if (details.some(Boolean)) {
+        const line = document.createElement('div');
+        line.className = 'diagram-tooltip-details';
+        line.textContent = details.filter(Boolean).join('; ');
+        tooltip.appendChild(line);
+    }
+    
+    if (list.length === 0) {
+        const empty = document.createElement('div');
+        empty.textContent = 'Finds nobody acceptable';
+        tooltip.appendChild(empty);
+        return;
+    }
+    const ranks = document.createElement('ol');
+    list.forEach(entry => {
+        const item = document.createElement('li');
+        const tie = [entry].flat();
+        item.textContent = tie.join(' = ');
+        item.classList.toggle('partner', tie.some(other => partners.includes(other)));
+        ranks.appendChild(item);
+    });
+    tooltip.appendChild(ranks);
+}
+
+/**
+ * Place the diagram tooltip below a node, or above it if it would not fit,
+ * keeping it inside the container
+ */
+function placeDiagramTooltip(container, node, tooltip) {
+    tooltip.hidden = false;
+    const nodeRect = node.getBoundingClientRect();
+    const containerRect = container.getBoundingClientRect();
+    const center = nodeRect.left + nodeRect.width / 2 - containerRect.left;
+    const below = nodeRect.bottom - containerRect.top + 6;
+    const above = nodeRect.top - containerRect.top - 6 - tooltip.offsetHeight;
+    
+    const left = Math.min(center - tooltip.offsetWidth / 2, container.clientWidth - tooltip.offsetWidth);
+    const top = below + tooltip.offsetHeight > container.clientHeight ? above : below;
+    tooltip.style.left = `${Math.max(0, left)}px`;
+    tooltip.style.top = `${Math.max(0, top)}px`;
+}
+
+/**
+ * Handle the diagram's export buttons, saving it as SVG or PNG
+ */
+async function handleExportDiagram(format) {
+    const svg = elements.diagramContainer.querySelector('svg');
+    if (!svg) {
+        showToast('Solve first to export the diagram', 'warning');
+        return;
+    }
+    
+    const { source, width, height } = serializeDiagram(svg);
+    if (format === 'svg') {
+        downloadFile('smp-diagram.svg', source, 'image/svg+xml');
+        return;
+    }
+    
+    // Draw the SVG onto a canvas at twice its size for a sharper PNG
+    const url = URL.createObjectURL(new Blob([source], { type: 'image/svg+xml' }));
+    try {
+        const image = new Image();
+        await new Promise((resolve, reject) => {
+            image.onload = resolve;
+            image.onerror = () => reject(new Error('The diagram could not be drawn'));
+            image.src = url;
+        });
+        const canvas = document.createElement('canvas');
+        canvas.width = width * 2;
+        canvas.height = height * 2;
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+        const png = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        downloadBlob('smp-diagram.png', png);
+    } catch (error) {
+        console.error('Error exporting diagram:', error);
+        showToast('Could not export the diagram as PNG; try SVG instead', 'error');
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Write a diagram as a standalone SVG file, with the theme's colours and
+ * fonts copied onto every element and its background filled in
+ */
+function serializeDiagram(svg) {
+    const [, , width, height] = svg.getAttribute('viewBox').split(' ').map(Number);
+    const copy = svg.cloneNode(true);
+    copy.setAttribute('width', width);
+    copy.setAttribute('height', height);
+    
+    const originals = [svg, ...svg.querySelectorAll('*')];
+    [copy, ...copy.querySelectorAll('*')].forEach((element, index) => {
+        const style = getComputedStyle(originals[index]);
+        DIAGRAM_STYLE_PROPERTIES.forEach(property => {
+            const value = style.getPropertyValue(property);
+            if (value) element.style.setProperty(property, value);
+        });
     });
+    
+    const background = svgElement('rect', { width, height });
+    background.style.fill = getComputedStyle(elements.diagramContainer).backgroundColor;
+    copy.insertBefore(background, copy.firstChild);
+    return { source: new XMLSerializer().serializeToString(copy), width, height };
 }
 
 /**
- * Create an edge between two nodes
+ * Create an edge between two nodes of the lattice, laid out as a rotated div
  */
 function createEdge(nodeA, nodeB, container) {
     const rectA = nodeA.getBoundingClientRect();
@@ -720,49 +2796,871 @@ function createEdge(nodeA, nodeB, container) {
 }
 
 /**
- * Render the conflict resolution assistant
+ * Set up the replay panel's player for a recorded Gale-Shapley trace
  */
-function renderAssistant() {
-    renderExplanation();
-    renderSuggestions();
+function createReplay({ matching, events }, proposerSide) {
+    // Start at the end; the player only takes over the diagram once touched
+    return {
+        events,
+        finalMatching: matching,
+        proposerSide,
+        step: events.length,
+        touched: false,
+        timer: null,
+        logBuilt: false
+    };
 }
 
 /**
- * Render the explanation text
+ * Get the replay if it traces the matching on show, e.g. not after picking
+ * another node of the lattice
  */
-function renderExplanation() {
-    if (!appState.currentAnalysis || !appState.currentMetrics) {
-        elements.explanationText.textContent = 'Run the algorithm to see analysis...';
-        return;
-    }
-    
-    const analysis = appState.currentAnalysis;
-    const metrics = appState.currentMetrics;
-    const blockingCount = appState.currentBlockingPairs.length;
+function activeReplay() {
+    const replay = appState.replay;
+    if (!replay || !appState.currentMatching) return null;
+    return isSameMatching(replay.finalMatching, appState.currentMatching) ? replay : null;
+}
+
+/**
+ * Get the event at the current replay step, if the player is in use
+ */
+function currentReplayEvent() {
+    const replay = activeReplay();
+    if (!replay || !replay.touched || replay.step === 0) return null;
+    return replay.events[replay.step - 1];
+}
+
+/**
+ * Get the matching the bipartite diagram should show: the tentative
+ * engagements at the current replay step, or the current matching
+ */
+function diagramMatching() {
+    const replay = activeReplay();
+    if (!replay || !replay.touched) return appState.currentMatching;
     
-    let explanation = '';
+    const matching = {};
+    replay.events.slice(0, replay.step).forEach(({ type, proposer, receiver }) => {
+        if (type === 'accept') {
+            matching[proposer] = receiver;
+            matching[receiver] = proposer;
+        } else if (type === 'dump') {
+            delete matching[proposer];
+            delete matching[receiver];
+        }
+    });
+    return matching;
+}
+
+/**
+ * Handle the step back and step forward buttons
+ */
+function handleReplayStep(delta) {
+    const replay = activeReplay();
+    if (!replay) return;
     
-    if (analysis.isStable) {
-        explanation += '🎉 Great! This matching is stable with no blocking pairs. ';
-    } else {
-        explanation += `⚠️ This matching has ${blockingCount} blocking pair${blockingCount > 1 ? 's' : ''}. `;
-    }
+    pauseReplay(replay);
+    goToReplayStep(replay, replay.step + delta);
+    renderReplayFrame();
+}
+
+/**
+ * Handle the play/pause button, starting over once the trace has finished
+ */
+function handleReplayPlay() {
+    const replay = activeReplay();
+    if (!replay) return;
     
-    // Analyze proposer advantage
-    if (analysis.proposerAdvantage > 0.15) {
-        explanation += 'Group A (proposers) got significantly better outcomes than Group B (receivers) - this is typical in Gale-Shapley since proposers have the advantage. ';
-    } else if (analysis.proposerAdvantage < -0.15) {
-        explanation += 'Surprisingly, Group B (receivers) got better outcomes than Group A (proposers) in this case. ';
+    if (replay.timer) {
+        pauseReplay(replay);
     } else {
-        explanation += 'Both groups achieved fairly balanced satisfaction levels. ';
-    }
-    
-    // Mention unhappy participants
-    const totalUnhappy = analysis.unhappyA.length + analysis.unhappyB.length;
-    if (totalUnhappy > 0) {
-        explanation += `${totalUnhappy} participant${totalUnhappy > 1 ? 's are' : ' is'} quite unhappy with their assignment. `;
+        if (replay.step >= replay.events.length) {
+            goToReplayStep(replay, 0);
+        }
+        scheduleReplayStep(replay);
     }
-    
+    renderReplayFrame();
+}
+
+/**
+ * Advance the replay after a delay set by the speed control
+ */
+function scheduleReplayStep(replay) {
+    const speed = parseFloat(elements.replaySpeed.value) || 1;
+    replay.timer = setTimeout(() => {
+        replay.timer = null;
+        goToReplayStep(replay, replay.step + 1);
+        if (replay.step < replay.events.length) {
+            scheduleReplayStep(replay);
+        }
+        renderReplayFrame();
+    }, REPLAY_INTERVAL / speed);
+}
+
+/**
+ * Move the replay to a step, clamped to the trace
+ */
+function goToReplayStep(replay, step) {
+    replay.step = Math.max(0, Math.min(step, replay.events.length));
+    replay.touched = true;
+}
+
+/**
+ * Pause the replay timer
+ */
+function pauseReplay(replay) {
+    clearTimeout(replay.timer);
+    replay.timer = null;
+}
+
+/**
+ * Stop any running replay before the results change
+ */
+function stopReplay() {
+    if (appState.replay) {
+        pauseReplay(appState.replay);
+    }
+}
+
+/**
+ * Redraw everything that follows the replay position
+ */
+function renderReplayFrame() {
+    renderReplay();
+    renderBipartiteDiagram();
+}
+
+/**
+ * Render the replay panel and highlight the current step on the cards
+ */
+function renderReplay() {
+    const replay = activeReplay();
+    
+    elements.replaySection.hidden = !replay;
+    highlightReplayEntries();
+    if (!replay) {
+        stopReplay();
+        return;
+    }
+    
+    const { events, step, touched, timer } = replay;
+    const proposers = sideLabel(replay.proposerSide);
+    
+    elements.replayTitle.textContent = `Gale-Shapley Replay (${proposers} proposing)`;
+    elements.replayPlay.textContent = timer ? '⏸ Pause' : '▶ Play';
+    elements.replayBack.disabled = step === 0;
+    elements.replayForward.disabled = step === events.length;
+    
+    if (!touched) {
+        elements.replayStatus.textContent = `Finished after ${events.length} steps. Press play to watch ${proposers} propose.`;
+    } else if (step === 0) {
+        elements.replayStatus.textContent = 'Everyone is free and no proposals have been made yet.';
+    } else {
+        elements.replayStatus.textContent = `Step ${step} of ${events.length}: ${describeReplayEvent(events[step - 1])}`;
+    }
+    
+    // Build the log once per trace, then just move the marker
+    if (!replay.logBuilt) {
+        elements.replayLog.innerHTML = '';
+        events.forEach((event, index) => {
+            const item = document.createElement('li');
+            item.className = `replay-${event.type}`;
+            item.textContent = describeReplayEvent(event);
+            item.addEventListener('click', () => {
+                pauseReplay(replay);
+                goToReplayStep(replay, index + 1);
+                renderReplayFrame();
+            });
+            elements.replayLog.appendChild(item);
+        });
+        replay.logBuilt = true;
+    }
+    
+    Array.from(elements.replayLog.children).forEach((item, index) => {
+        item.classList.toggle('current', touched && index === step - 1);
+    });
+    
+    const current = elements.replayLog.querySelector('.current');
+    if (current) {
+        elements.replayLog.scrollTop = current.offsetTop - elements.replayLog.offsetTop - elements.replayLog.clientHeight / 2;
+    }
+}
+
+/**
+ * Describe one step of the Gale-Shapley trace
+ */
+function describeReplayEvent({ type, proposer, receiver, reason, held }) {
+    if (type === 'propose') {
+        return `${proposer} proposes to ${receiver}`;
+    }
+    if (type === 'accept') {
+        return `${receiver} tentatively accepts ${proposer}`;
+    }
+    if (type === 'dump') {
+        return `${receiver} dumps ${proposer} for a better proposal`;
+    }
+    return reason === 'unacceptable'
+        ? `${receiver} rejects ${proposer}, who is not on their list`
+        : `${receiver} rejects ${proposer}, preferring ${held}`;
+}
+
+/**
+ * Mark the entries involved in the current replay step on both cards
+ */
+function highlightReplayEntries() {
+    document.querySelectorAll('.preference-item.replay-current').forEach(item => {
+        item.classList.remove('replay-current');
+    });
+    
+    const event = currentReplayEvent();
+    if (!event) return;
+    
+    const lists = Array.from(document.querySelectorAll('.preference-list'));
+    [[event.proposer, event.receiver], [event.receiver, event.proposer]].forEach(([owner, entry]) => {
+        const list = lists.find(candidate => candidate.getAttribute('data-participant') === owner);
+        const item = list && Array.from(list.querySelectorAll('.preference-item')).find(candidate =>
+            candidate.getAttribute('data-preference') === entry
+        );
+        if (item) {
+            item.classList.add('replay-current');
+        }
+    });
+}
+
+/**
+ * Render the lattice of stable matchings as a Hasse diagram, A-optimal at
+ * the top and B-optimal at the bottom, one row per rotation eliminated
+ */
+function renderLattice() {
+    const container = elements.latticeContainer;
+    const lattice = appState.lattice;
+    
+    container.innerHTML = '';
+    elements.latticeSection.hidden = !lattice;
+    if (!lattice) return;
+    
+    const { matchings, rotations, edges, truncated, selected } = lattice;
+    
+    if (matchings.length === 1) {
+        elements.latticeSummary.textContent = 'This instance has a single stable matching, so every stable solution gives the same pairs.';
+    } else {
+        elements.latticeSummary.textContent =
+            `${truncated ? `Showing the first ${matchings.length}` : `All ${matchings.length}`} stable matchings, ` +
+            `linked by ${rotations.length} rotation${rotations.length > 1 ? 's' : ''}. ` +
+            `The top matching is best for ${sideLabel('A')} and the bottom one best for ${sideLabel('B')}; click a node to inspect it.`;
+    }
+    
+    // One row per level, spread evenly across the width
+    const levels = [];
+    matchings.forEach(({ level }, index) => {
+        (levels[level] = levels[level] || []).push(index);
+    });
+    container.style.height = `${Math.max(80, levels.length * 56)}px`;
+    
+    levels.forEach((row, level) => {
+        row.forEach((index, position) => {
+            const node = document.createElement('button');
+            node.type = 'button';
+            node.className = 'lattice-node';
+            node.classList.toggle('selected', index === selected);
+            node.textContent = `M${index + 1}`;
+            node.title = describeLatticeMatching(matchings[index].matching);
+            node.setAttribute('data-index', index);
+            node.style.left = `${((position + 1) / (row.length + 1)) * 100}%`;
+            node.style.top = `${((level + 0.5) / levels.length) * 100}%`;
+            node.addEventListener('click', () => handleLatticeSelect(index));
+            container.appendChild(node);
+        });
+    });
+    
+    // Add edges after nodes are in DOM, unless the lattice was redrawn meanwhile
+    const firstNode = container.querySelector('.lattice-node');
+    setTimeout(() => {
+        if (!firstNode.isConnected) return;
+        const nodeFor = index => container.querySelector(`[data-index="${index}"]`);
+        
+        edges.forEach(({ from, to, rotation }) => {
+            const edge = createEdge(nodeFor(from), nodeFor(to), container);
+            edge.classList.add('lattice-edge');
+            edge.title = rotations[rotation]
+                .map(({ a, from: before, to: after }) => `${a}: ${before} → ${after}`)
+                .join(', ');
+            container.appendChild(edge);
+        });
+    }, 0);
+}
+
+/**
+ * Show the A-proposing and B-proposing matchings side by side, marking who
+ * gains or loses when Group B proposes instead
+ */
+function renderComparison() {
+    const comparison = appState.comparison;
+    
+    elements.comparisonTable.innerHTML = '';
+    elements.comparisonSection.hidden = !comparison;
+    if (!comparison) return;
+    
+    const { changes, satisfaction } = comparison;
+    const gainers = changes.filter(entry => entry.change === 'gain');
+    const losers = changes.filter(entry => entry.change === 'loss');
+    
+    if (gainers.length === 0 && losers.length === 0) {
+        elements.comparisonSummary.textContent = 'Both sides proposing give the same result, so this instance has only one stable matching and proposing brings no advantage.';
+    } else {
+        const { A, B } = satisfaction;
+        const [labelA, labelB] = [sideLabel('A'), sideLabel('B')];
+        elements.comparisonSummary.textContent =
+            `With ${labelA} proposing, average satisfaction is ${A.a.toFixed(2)} for ${labelA} and ${A.b.toFixed(2)} for ${labelB}; ` +
+            `with ${labelB} proposing, ${B.a.toFixed(2)} and ${B.b.toFixed(2)}. ` +
+            `Switching to ${labelB} proposing, ${describeCount(gainers)} gain${gainers.length === 1 ? 's' : ''} and ${describeCount(losers)} lose${losers.length === 1 ? 's' : ''}: each side does best when it proposes.`;
+    }
+    
+    renderChangeRows(elements.comparisonTable, changes);
+}
+
+/**
+ * Fill a comparison table with how each participant fares in two matchings
+ */
+function renderChangeRows(tbody, changes) {
+    tbody.innerHTML = '';
+    changes.forEach(({ person, before, after, change }) => {
+        const row = document.createElement('tr');
+        row.className = `comparison-${change}`;
+        
+        const cells = [
+            person,
+            describeOutcome(before),
+            describeOutcome(after),
+            change === 'gain' ? '▲ gains' : change === 'loss' ? '▼ loses' : '—'
+        ];
+        cells.forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        
+        tbody.appendChild(row);
+    });
+}
+
+/**
+ * Render the strategic manipulation panel: the profitable lies found and,
+ * once one is applied, how everyone fares compared with the truth
+ */
+function renderManipulation() {
+    const manipulation = appState.manipulation;
+    elements.manipulationSection.hidden = isRoommates();
+    if (isRoommates()) return;
+    
+    // Lies found for other preferences or settings no longer apply, and an
+    // applied lie is forgotten once its liar is gone
+    if (manipulation.basis !== currentPermalink()) {
+        manipulation.results = null;
+    }
+    const { results, applied } = manipulation;
+    if (applied && !appState.preferences[applied.side === 'A' ? 'prefsA' : 'prefsB'][applied.person]) {
+        manipulation.applied = null;
+        renderManipulation();
+        return;
+    }
+    
+    elements.manipulationCheckBtn.disabled = Boolean(applied);
+    elements.manipulationRestoreBtn.hidden = !applied;
+    elements.manipulationSummary.textContent = describeManipulations(results);
+    elements.manipulationTable.hidden = !results || results.length === 0;
+    elements.manipulationRows.innerHTML = '';
+    (results || []).forEach(entry => {
+        const row = document.createElement('tr');
+        const cells = [
+            entry.person,
+            entry.partner || '— single',
+            entry.list.join(' > '),
+            entry.newPartner,
+            `+${entry.gain} place${entry.gain === 1 ? '' : 's'}`
+        ];
+        cells.forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        
+        const applyCell = document.createElement('td');
+        const applyBtn = document.createElement('button');
+        applyBtn.className = 'secondary';
+        applyBtn.textContent = 'Apply lie';
+        applyBtn.addEventListener('click', () => handleApplyLie(entry));
+        applyCell.appendChild(applyBtn);
+        row.appendChild(applyCell);
+        
+        elements.manipulationRows.appendChild(row);
+    });
+    
+    // Judge the outcome under the lie by everyone's true preferences
+    elements.manipulationComparison.hidden = !applied || !appState.currentMatching;
+    if (elements.manipulationComparison.hidden) return;
+    const { prefsA, prefsB } = applied.truthfulPreferences;
+    const changes = compareMatchings(applied.truthfulMatching, appState.currentMatching, prefsA, prefsB);
+    const gainers = changes.filter(entry => entry.change === 'gain');
+    const losers = changes.filter(entry => entry.change === 'loss');
+    elements.manipulationComparisonSummary.textContent =
+        `${applied.person} reports ${applied.list.join(' > ')} instead of their true list. ` +
+        `Judged by true preferences, ${describeCount(gainers)} gain${gainers.length === 1 ? 's' : ''} and ${describeCount(losers)} lose${losers.length === 1 ? 's' : ''}.`;
+    renderChangeRows(elements.manipulationComparisonTable, changes);
+}
+
+/**
+ * Summarise the profitable lies found, or what the check does
+ */
+function describeManipulations(results) {
+    if (!results) {
+        return 'Deferred acceptance is strategy-proof for the proposing side, but receivers can sometimes get a better partner by misreporting their preferences. Check whether anyone can under the current settings.';
+    }
+    if (results.length === 0) {
+        return 'Nobody can get a better partner by misreporting under the current settings.';
+    }
+    
+    const proposer = appState.proposerSide;
+    let summary = `${describeCount(results)} can get a better partner by misreporting`;
+    const proposerChecked = !isManyToOne() || proposer === 'A';
+    if (appState.objective === 'proposer' && proposerChecked && !results.some(entry => entry.side === proposer)) {
+        summary += `, but nobody in ${sideLabel(proposer)}: deferred acceptance is strategy-proof for the proposing side`;
+    }
+    summary += '.';
+    if (isManyToOne()) {
+        summary += ` Only members of ${sideLabel('A')} were checked.`;
+    }
+    if (results.some(entry => !entry.exhaustive)) {
+        summary += ' Longer lists were only tried truncated or with one entry moved to the top, so more lies may exist.';
+    }
+    return summary;
+}
+
+/**
+ * Check every participant for a profitable lie under the current settings
+ */
+async function handleCheckManipulation() {
+    const basis = currentPermalink();
+    
+    try {
+        const results = await runSolver({
+            type: 'manipulation',
+            instance: currentInstance(),
+            settings: {
+                notion: elements.stabilitySelect.value,
+                objective: elements.objectiveSelect.value,
+                proposerSide: elements.proposerSelect.value
+            }
+        });
+        appState.manipulation.results = results;
+        appState.manipulation.basis = basis;
+        renderManipulation();
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error('Error checking for manipulation:', error);
+        showToast('Error checking for manipulation. Please try again.', 'error');
+    }
+}
+
+/**
+ * Replace the liar's list with the lie and re-solve, keeping the truth to compare with
+ */
+function handleApplyLie(entry) {
+    const key = entry.side === 'A' ? 'prefsA' : 'prefsB';
+    appState.manipulation = {
+        results: null,
+        basis: null,
+        applied: {
+            person: entry.person,
+            side: entry.side,
+            list: entry.list,
+            truthfulList: appState.preferences[key][entry.person],
+            truthfulPreferences: JSON.parse(JSON.stringify(appState.preferences)),
+            truthfulMatching: appState.currentMatching
+        }
+    };
+    appState.preferences[key][entry.person] = [...entry.list];
+    recordHistory(`${entry.person}: applied the lie ${entry.list.join(' > ')}`);
+    
+    renderPreferences();
+    solveAndUpdate();
+    showToast(`${entry.person} now reports ${entry.list.join(' > ')}`, 'success');
+}
+
+/**
+ * Put the liar's true list back and re-solve
+ */
+function handleRestoreTruth() {
+    const { applied } = appState.manipulation;
+    if (!applied) return;
+    
+    appState.preferences[applied.side === 'A' ? 'prefsA' : 'prefsB'][applied.person] = applied.truthfulList;
+    appState.manipulation.applied = null;
+    recordHistory(`${applied.person}: restored the truthful list`);
+    renderPreferences();
+    solveAndUpdate();
+}
+
+/**
+ * Pin the instance and the matching on show as a named snapshot
+ */
+function handlePinSnapshot() {
+    if (!appState.currentMatching || !appState.currentMetrics) {
+        showToast('Solve the instance before pinning it', 'warning');
+        return;
+    }
+    
+    const { entries } = appState.snapshots;
+    const name = elements.snapshotName.value.trim() || `Snapshot ${entries.length + 1}`;
+    const instance = currentInstance();
+    const lists = isRoommates()
+        ? { preferences: instance.preferences }
+        : { prefsA: instance.prefsA, prefsB: instance.prefsB };
+    entries.push(JSON.parse(JSON.stringify({
+        name,
+        mode: appState.mode,
+        details: describeSnapshotSettings(),
+        ...lists,
+        matching: appState.currentMatching,
+        metrics: appState.currentMetrics
+    })));
+    
+    elements.snapshotName.value = '';
+    renderSnapshots();
+    showToast(`Pinned "${name}"`, 'success');
+}
+
+/**
+ * Describe how the pinned matching was found, e.g. "one-to-one, Group A proposing"
+ */
+function describeSnapshotSettings() {
+    if (isRoommates()) return 'stable roommates';
+    const mode = isManyToOne() ? 'many-to-one' : 'one-to-one';
+    return `${mode}, ${sideLabel(appState.proposerSide)} proposing, ${appState.currentBlockingPairs.length} blocking pair${appState.currentBlockingPairs.length === 1 ? '' : 's'}`;
+}
+
+/**
+ * Render the pinned snapshots and the selectors for comparing two of them
+ */
+function renderSnapshots() {
+    const { entries } = appState.snapshots;
+    elements.snapshotName.placeholder = `Snapshot ${entries.length + 1}`;
+    elements.snapshotList.innerHTML = '';
+    
+    entries.forEach(snapshot => {
+        const item = document.createElement('li');
+        const name = document.createElement('strong');
+        name.textContent = snapshot.name;
+        const details = document.createElement('span');
+        details.className = 'snapshot-details';
+        details.textContent = snapshot.details;
+        
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'snapshot-remove';
+        removeBtn.textContent = '×';
+        removeBtn.setAttribute('aria-label', `Remove ${snapshot.name}`);
+        removeBtn.addEventListener('click', () => handleRemoveSnapshot(snapshot));
+        
+        item.appendChild(name);
+        item.appendChild(details);
+        item.appendChild(removeBtn);
+        elements.snapshotList.appendChild(item);
+    });
+    
+    // Offer the two latest snapshots, e.g. before and after a change
+    elements.snapshotCompareControls.hidden = entries.length < 2;
+    [elements.snapshotFirstSelect, elements.snapshotSecondSelect].forEach((select, offset) => {
+        select.innerHTML = '';
+        entries.forEach((snapshot, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            option.textContent = snapshot.name;
+            select.appendChild(option);
+        });
+        select.value = String(Math.max(0, entries.length - 2 + offset));
+    });
+    
+    renderSnapshotComparison();
+}
+
+/**
+ * Remove a snapshot, and the comparison if it was part of it
+ */
+function handleRemoveSnapshot(snapshot) {
+    const snapshots = appState.snapshots;
+    snapshots.entries = snapshots.entries.filter(entry => entry !== snapshot);
+    if (snapshots.comparison && snapshots.comparison.includes(snapshot)) {
+        snapshots.comparison = null;
+    }
+    renderSnapshots();
+}
+
+/**
+ * Compare the two snapshots picked in the selectors
+ */
+function handleCompareSnapshots() {
+    const { entries } = appState.snapshots;
+    const first = entries[Number(elements.snapshotFirstSelect.value)];
+    const second = entries[Number(elements.snapshotSecondSelect.value)];
+    if (!first || !second) return;
+    
+    if ((first.mode === 'roommates') !== (second.mode === 'roommates')) {
+        showToast('A single pool cannot be compared with two groups', 'warning');
+        return;
+    }
+    appState.snapshots.comparison = [first, second];
+    renderSnapshotComparison();
+}
+
+/**
+ * Render two snapshots side by side: their diagrams with the changed pairs
+ * highlighted, and the lists, pairs and metrics that differ
+ */
+function renderSnapshotComparison() {
+    const { comparison } = appState.snapshots;
+    elements.snapshotComparison.hidden = !comparison;
+    if (!comparison) return;
+    
+    const [first, second] = comparison;
+    const { lists, pairs, metrics } = compareSnapshots(first, second);
+    elements.snapshotComparison.querySelectorAll('.snapshot-first-name').forEach(heading => {
+        heading.textContent = first.name;
+    });
+    elements.snapshotComparison.querySelectorAll('.snapshot-second-name').forEach(heading => {
+        heading.textContent = second.name;
+    });
+    
+    const changedPairs = pairs.added.length + pairs.removed.length;
+    elements.snapshotSummary.textContent = lists.length === 0 && changedPairs === 0
+        ? `"${first.name}" and "${second.name}" have the same preferences and matching.`
+        : `${lists.length} preference list${lists.length === 1 ? '' : 's'} and ${changedPairs} pair${changedPairs === 1 ? '' : 's'} differ between "${first.name}" and "${second.name}".`;
+    
+    // Only two-sided snapshots are drawn; a pair that changed is highlighted
+    // in whichever diagram it appears
+    const bipartite = first.mode !== 'roommates';
+    elements.snapshotDiagrams.hidden = !bipartite;
+    if (bipartite) {
+        const changed = new Set([...pairs.added, ...pairs.removed].map(({ a, b }) => `${a}\u0000${b}`));
+        renderSnapshotDiagram(elements.snapshotFirstDiagram, first, changed);
+        renderSnapshotDiagram(elements.snapshotSecondDiagram, second, changed);
+    }
+    
+    const fillRows = (table, rows, emptyText) => {
+        const tbody = table.querySelector('tbody');
+        tbody.innerHTML = '';
+        if (rows.length === 0) {
+            rows = [[emptyText, '', '']];
+        }
+        rows.forEach(cells => {
+            const row = document.createElement('tr');
+            cells.forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        });
+    };
+    
+    fillRows(elements.snapshotListsTable, lists.map(({ person, before, after }) => [
+        person,
+        before ? formatPreferenceList(before) : '— not in this snapshot',
+        after ? formatPreferenceList(after) : '— not in this snapshot'
+    ]), 'No list changed');
+    
+    const pairText = ({ a, b }) => `${a} – ${b}`;
+    fillRows(elements.snapshotPairsTable, [
+        ...pairs.removed.map(pair => [pairText(pair), '✓', '—']),
+        ...pairs.added.map(pair => [pairText(pair), '—', '✓'])
+    ], 'No pair changed');
+    
+    fillRows(elements.snapshotMetricsTable, metrics.map(({ metric, before, after, delta }) => {
+        const whole = Number.isInteger(before) && Number.isInteger(after);
+        const format = value => whole ? String(value) : value.toFixed(3);
+        return [
+            metricLabel(metric),
+            format(before),
+            format(after),
+            whole ? `${delta > 0 ? '+' : delta < 0 ? '−' : '±'}${Math.abs(delta)}` : formatDelta(delta)
+        ];
+    }), 'No metrics');
+}
+
+/**
+ * Draw a snapshot's matching, highlighting the pairs that changed
+ */
+function renderSnapshotDiagram(container, snapshot, changed) {
+    const groupA = Object.keys(snapshot.prefsA);
+    const groupB = Object.keys(snapshot.prefsB);
+    const diagram = createDiagram(bipartitePositions(groupA, groupB), `Matching in ${snapshot.name}`);
+    
+    groupA.forEach(a => {
+        const b = snapshot.matching[a];
+        if (!b) return;
+        const line = addDiagramLine(diagram, a, b);
+        line.classList.toggle('changed', changed.has(`${a}\u0000${b}`));
+    });
+    
+    // Mark everyone whose partner changed, including those now single
+    const people = new Set([...changed].flatMap(key => key.split('\u0000')));
+    [...groupA, ...groupB].forEach(id => {
+        const node = addDiagramNode(diagram, id, partnersOf(snapshot.matching, id).length === 0 ? 'single' : '');
+        node.classList.toggle('changed', people.has(id));
+    });
+    
+    container.innerHTML = '';
+    container.appendChild(diagram.svg);
+}
+
+/**
+ * Name a snapshot metric, filling in the side labels
+ */
+function metricLabel(metric) {
+    const label = METRIC_LABELS[metric] || metric;
+    return label.replace('{A}', sideLabel('A')).replace('{B}', sideLabel('B'));
+}
+
+/**
+ * Write a preference list with ">" between ranks and "=" within ties
+ */
+function formatPreferenceList(list) {
+    return list.length > 0
+        ? list.map(entry => [entry].flat().join(' = ')).join(' > ')
+        : '(nobody acceptable)';
+}
+
+/**
+ * Describe someone's partners and rank in one matching of the comparison
+ */
+function describeOutcome({ partners, rank }) {
+    if (rank === null) return '— single';
+    const shownRank = Number.isInteger(rank) ? rank : rank.toFixed(1);
+    return `${partners.join(', ')} (#${shownRank})`;
+}
+
+/**
+ * Count comparison entries per group, e.g. "2 of Group A and 3 of Group B"
+ */
+function describeCount(entries) {
+    const counts = ['A', 'B']
+        .map(side => [side, entries.filter(entry => entry.side === side).length])
+        .filter(([, count]) => count > 0)
+        .map(([side, count]) => `${count} of ${sideLabel(side)}`);
+    return counts.length > 0 ? counts.join(' and ') : 'nobody';
+}
+
+/**
+ * List the pairs of a stable matching for a lattice node tooltip
+ */
+function describeLatticeMatching(matching) {
+    return appState.participants.groupA
+        .map(a => matching[a] ? `${a}–${matching[a]}` : `${a} single`)
+        .join(', ');
+}
+
+/**
+ * Render the conflict resolution assistant
+ */
+function renderAssistant() {
+    renderExplanation();
+    renderSuggestions();
+    renderTargetSection();
+}
+
+/**
+ * Render the explanation text
+ */
+function renderExplanation() {
+    if (isRoommates() && appState.currentMetrics) {
+        renderRoommatesExplanation();
+        return;
+    }
+    
+    if (!appState.currentAnalysis || !appState.currentMetrics) {
+        elements.explanationText.textContent = 'Run the algorithm to see analysis...';
+        return;
+    }
+    
+    const analysis = appState.currentAnalysis;
+    const metrics = appState.currentMetrics;
+    const blockingCount = appState.currentBlockingPairs.length;
+    
+    const { notion, exists } = appState.stability;
+    
+    let explanation = '';
+    
+    if (!exists) {
+        explanation += `No ${STABILITY_LABELS[notion]} matching exists for these preferences, so a weakly stable matching is shown instead. `;
+    }
+    
+    if (analysis.isStable) {
+        explanation += notion === 'weak'
+            ? '🎉 Great! This matching is stable with no blocking pairs. '
+            : `🎉 Great! This matching is ${STABILITY_LABELS[notion]} with no blocking pairs. `;
+    } else {
+        explanation += `⚠️ This matching has ${blockingCount} blocking pair${blockingCount > 1 ? 's' : ''}. `;
+    }
+    
+    // Place the matching within the lattice when there is a choice
+    const lattice = appState.lattice;
+    if (lattice && lattice.matchings.length > 1 && lattice.selected !== -1) {
+        const last = lattice.matchings.length - 1;
+        const position = lattice.selected === 0
+            ? `the best one for ${sideLabel('A')}`
+            : lattice.selected === last && !lattice.truncated
+                ? `the best one for ${sideLabel('B')}`
+                : `between the ${sideLabel('A')} and ${sideLabel('B')} optimal ones`;
+        explanation += `This is M${lattice.selected + 1}, one of ${lattice.matchings.length}${lattice.truncated ? '+' : ''} stable matchings and ${position}. `;
+    }
+    
+    // Say which objective picked this matching, with the costs it trades off
+    if (OBJECTIVE_LABELS[appState.objective]) {
+        explanation += `It was chosen as the ${OBJECTIVE_LABELS[appState.objective]} stable matching: ` +
+            `total rank ${metrics.egalitarianCost}, worst rank ${metrics.regret} and a gap of ${metrics.sexEqualityCost} between the groups' total ranks. `;
+    }
+    
+    // Analyze proposer advantage
+    const proposers = sideLabel(appState.proposerSide);
+    const receivers = sideLabel(appState.proposerSide === 'A' ? 'B' : 'A');
+    if (appState.objective !== 'proposer') {
+        // Matchings further down the lattice trade proposer for receiver satisfaction
+        if (Math.abs(analysis.proposerAdvantage) > 0.15) {
+            const ahead = analysis.proposerAdvantage > 0 ? proposers : receivers;
+            explanation += `${ahead} got noticeably better outcomes in this matching. `;
+        } else {
+            explanation += 'Both groups achieved fairly balanced satisfaction levels. ';
+        }
+    } else if (analysis.proposerAdvantage > 0.15) {
+        explanation += `${proposers} (proposers) got significantly better outcomes than ${receivers} (receivers) - this is typical in Gale-Shapley since proposers have the advantage. `;
+    } else if (analysis.proposerAdvantage < -0.15) {
+        explanation += `Surprisingly, ${receivers} (receivers) got better outcomes than ${proposers} (proposers) in this case. `;
+    } else {
+        explanation += 'Both groups achieved fairly balanced satisfaction levels. ';
+    }
+    
+    // Mention participants left single by incomplete lists
+    const singles = metrics.unmatchedA.concat(metrics.unmatchedB);
+    if (isManyToOne()) {
+        explanation += describeCapacityUse(metrics);
+    } else if (singles.length > 0) {
+        const { groupA, groupB } = appState.participants;
+        const surplus = Math.abs(groupA.length - groupB.length);
+        explanation += `${singles.join(', ')} ${singles.length > 1 ? 'remain' : 'remains'} single. `;
+        
+        if (surplus > 0) {
+            const larger = sideLabel(groupA.length > groupB.length ? 'A' : 'B');
+            explanation += `${larger} is larger, so at least ${surplus} of its members must stay unmatched. `;
+        }
+        if (singles.length > surplus) {
+            explanation += 'Others ran out of acceptable partners. ';
+        }
+    }
+    
+    // Mention unhappy participants
+    const totalUnhappy = analysis.unhappyA.length + analysis.unhappyB.length - singles.length;
+    if (totalUnhappy > 0) {
+        explanation += `${totalUnhappy} participant${totalUnhappy > 1 ? 's are' : ' is'} quite unhappy with their assignment. `;
+    }
+    
     // Overall assessment
     if (metrics.stabilityScore > 0.9) {
         explanation += 'Overall, this is a high-quality matching!';
@@ -775,6 +3673,61 @@ function renderExplanation() {
     elements.explanationText.textContent = explanation;
 }
 
+/**
+ * Explain the outcome of Irving's algorithm, showing each odd party when
+ * no stable matching exists
+ */
+function renderRoommatesExplanation() {
+    const metrics = appState.currentMetrics;
+    const oddParties = appState.currentOddParties;
+    
+    let explanation = '';
+    
+    if (oddParties.length === 0) {
+        explanation += '🎉 Irving\'s algorithm found a stable matching: no two people would rather pair up with each other. ';
+    } else {
+        explanation += '⚠️ No stable matching exists for these preferences. ';
+        oddParties.forEach(party => {
+            const cycle = [...party, party[0]].join(' → ');
+            explanation += `${party.join(', ')} form an odd party (${cycle}): each of them prefers the next person in the cycle to the previous one. ` +
+                'With an odd number of them, any pairing leaves someone behind who then blocks with a member of the cycle. ';
+        });
+    }
+    
+    // Singles outside odd parties were turned down by everyone they accept
+    const oddMembers = new Set(oddParties.flat());
+    const singles = metrics.unmatched.filter(p => !oddMembers.has(p));
+    if (singles.length > 0) {
+        explanation += `${singles.join(', ')} ${singles.length > 1 ? 'remain' : 'remains'} single: no one they find acceptable would rather be with them. `;
+    }
+    
+    explanation += `Average satisfaction across the pool is ${metrics.avgHappiness.toFixed(2)}.`;
+    
+    elements.explanationText.textContent = explanation;
+}
+
+/**
+ * Summarise unassigned Group A members and unfilled places in many-to-one mode
+ */
+function describeCapacityUse(metrics) {
+    const groupASize = appState.participants.groupA.length;
+    const totalPlaces = Object.values(appState.capacities).reduce((sum, c) => sum + c, 0);
+    const openPlaces = Object.values(metrics.openPlaces).reduce((sum, open) => sum + open, 0);
+    const unassigned = metrics.unmatchedA;
+    
+    let text = '';
+    if (unassigned.length > 0) {
+        text += `${unassigned.join(', ')} ${unassigned.length > 1 ? 'have' : 'has'} no place. `;
+        if (totalPlaces < groupASize) {
+            text += `There are only ${totalPlaces} places in ${sideLabel('B')} for ${groupASize} members of ${sideLabel('A')}. `;
+        }
+    }
+    if (openPlaces > 0) {
+        text += `${openPlaces} place${openPlaces > 1 ? 's remain' : ' remains'} open. `;
+    }
+    return text;
+}
+
 /**
  * Render suggestions
  */
@@ -786,7 +3739,7 @@ function renderSuggestions() {
         noSuggestions.className = 'no-suggestions';
         noSuggestions.textContent = appState.currentAnalysis && appState.currentAnalysis.isStable ? 
             'No suggestions - the matching is already stable!' :
-            'No actionable suggestions available at this time.';
+            'No single swap improves the matching when re-solved.';
         elements.suggestionsList.appendChild(noSuggestions);
         return;
     }
@@ -803,18 +3756,458 @@ function renderSuggestions() {
         rationale.className = 'suggestion-rationale';
         rationale.textContent = suggestion.rationale;
         
+        const { impact } = suggestion;
         const delta = document.createElement('div');
         delta.className = 'suggestion-delta';
-        delta.textContent = `Expected: Stability ${suggestion.expectedDelta.stability >= 0 ? '+' : ''}${suggestion.expectedDelta.stability}, Happiness ${suggestion.expectedDelta.avgHappiness >= 0 ? '+' : ''}${suggestion.expectedDelta.avgHappiness}`;
+        delta.textContent = `After re-solving: Stability ${formatDelta(impact.stability)}, ` +
+            `Satisfaction ${formatDelta(impact.avgHappiness)} ` +
+            `(A ${formatDelta(impact.avgASatisfaction)}, B ${formatDelta(impact.avgBSatisfaction)})`;
+        
+        const { added, removed } = impact.changedPairs;
+        const pairs = document.createElement('div');
+        pairs.className = 'suggestion-pairs';
+        pairs.textContent = added.length + removed.length === 0
+            ? 'No pairs change'
+            : 'Pairs: ' + [
+                ...added.map(({ a, b }) => `+${a}–${b}`),
+                ...removed.map(({ a, b }) => `−${a}–${b}`)
+            ].join(', ');
         
         item.appendChild(action);
         item.appendChild(rationale);
         item.appendChild(delta);
+        item.appendChild(pairs);
         
         elements.suggestionsList.appendChild(item);
     });
 }
 
+/**
+ * Format a metric change with an explicit sign
+ */
+function formatDelta(value) {
+    const rounded = Math.abs(value) < 0.0005 ? 0 : value;
+    return `${rounded > 0 ? '+' : rounded < 0 ? '−' : '±'}${Math.abs(rounded).toFixed(3)}`;
+}
+
+/**
+ * Render the target pair picker, the chosen pairs and the edits found
+ */
+function renderTargetSection() {
+    const { groupA, groupB } = appState.participants;
+    const target = appState.target;
+    elements.targetSection.hidden = isRoommates();
+    fillParticipantSelect(elements.targetASelect, groupA);
+    fillParticipantSelect(elements.targetBSelect, groupB);
+    
+    // Forget pairs whose participants are gone, and edits found for
+    // other preferences or settings
+    target.pairs = target.pairs.filter(({ a, b }) => groupA.includes(a) && groupB.includes(b));
+    if (target.basis !== currentPermalink()) {
+        target.result = null;
+    }
+    
+    elements.targetPairs.innerHTML = '';
+    target.pairs.forEach(pair => {
+        const chip = document.createElement('span');
+        chip.className = 'target-pair';
+        chip.textContent = `${pair.a} – ${pair.b}`;
+        
+        const remove = document.createElement('button');
+        remove.className = 'target-pair-remove';
+        remove.textContent = '×';
+        remove.title = `Remove ${pair.a} – ${pair.b}`;
+        remove.addEventListener('click', () => setTargetPairs(target.pairs.filter(other => other !== pair)));
+        
+        chip.appendChild(remove);
+        elements.targetPairs.appendChild(chip);
+    });
+    elements.targetFindBtn.disabled = target.pairs.length === 0;
+    renderTargetResult();
+}
+
+/**
+ * Fill a participant selector, keeping the current choice when possible
+ */
+function fillParticipantSelect(select, participants) {
+    const selected = select.value;
+    select.innerHTML = '';
+    participants.forEach(id => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = id;
+        select.appendChild(option);
+    });
+    if (participants.includes(selected)) {
+        select.value = selected;
+    }
+}
+
+/**
+ * Render the edit sequence found for the target pairs
+ */
+function renderTargetResult() {
+    const { pairs, result } = appState.target;
+    elements.targetResult.innerHTML = '';
+    elements.targetApplyBtn.disabled = !result || !result.edits || result.edits.length === 0;
+    if (result === null) return;
+    
+    const summary = document.createElement('div');
+    summary.className = 'target-summary';
+    const pairText = pairs.length === 1 ? `${pairs[0].a} with ${pairs[0].b}` : `all ${pairs.length} pairs`;
+    if (!result.edits) {
+        summary.textContent = result.optimal
+            ? `No reordering of the lists makes the solver match ${pairText}.`
+            : `The search stopped before finding an edit sequence that matches ${pairText}.`;
+    } else if (result.edits.length === 0) {
+        summary.textContent = `The solver already matches ${pairText}.`;
+    } else {
+        const count = result.edits.length;
+        summary.textContent = `${count} swap${count === 1 ? '' : 's'} of neighbouring entries match ${pairText}` +
+            (result.optimal ? ' (the fewest possible):' : ' (the search stopped early, so fewer may exist):');
+    }
+    elements.targetResult.appendChild(summary);
+    
+    if (!result.edits || result.edits.length === 0) return;
+    const steps = document.createElement('ol');
+    steps.className = 'target-steps';
+    describeEdits(result.edits).forEach(text => {
+        const step = document.createElement('li');
+        step.textContent = text;
+        steps.appendChild(step);
+    });
+    elements.targetResult.appendChild(steps);
+}
+
+/**
+ * Describe a sequence of swaps, merging runs that move one entry into a single move
+ */
+function describeEdits(edits) {
+    const moves = [];
+    let prefs = appState.preferences;
+    edits.forEach(edit => {
+        const [i, j] = edit.indices;
+        const list = (Object.hasOwn(prefs.prefsA, edit.target) ? prefs.prefsA : prefs.prefsB)[edit.target];
+        const last = moves[moves.length - 1];
+        
+        // Moving an entry up swaps it with the one above, again and again
+        if (last && last.target === edit.target && last.entry === list[j] && last.position === j) {
+            last.places++;
+            last.position = i;
+        } else {
+            moves.push({ target: edit.target, entry: list[j], places: 1, position: i });
+        }
+        prefs = applySuggestion(edit, prefs.prefsA, prefs.prefsB);
+    });
+    
+    return moves.map(({ target, entry, places }) => {
+        const name = Array.isArray(entry) ? entry.join(' = ') : entry;
+        return `Move ${name} up ${places} place${places === 1 ? '' : 's'} in ${target}'s list`;
+    });
+}
+
+/**
+ * Replace the target pairs, dropping any edits found for the old ones
+ */
+function setTargetPairs(pairs) {
+    appState.target = { pairs, result: null, basis: null };
+    renderTargetSection();
+}
+
+/**
+ * Add the selected pair to the targets, replacing pairs it conflicts with
+ */
+function handleAddTargetPair() {
+    const a = elements.targetASelect.value;
+    const b = elements.targetBSelect.value;
+    if (!a || !b) return;
+    
+    // Each A member has one partner; a B member has one, or as many as its places
+    const places = isManyToOne() ? appState.capacities[b] : 1;
+    const kept = appState.target.pairs.filter(pair => pair.a !== a);
+    const forB = kept.filter(pair => pair.b === b);
+    const dropped = forB.slice(0, Math.max(0, forB.length - places + 1));
+    setTargetPairs([...kept.filter(pair => !dropped.includes(pair)), { a, b }]);
+}
+
+/**
+ * Target every pair of the matching on show, e.g. one picked in the lattice
+ */
+function handleTargetShownMatching() {
+    const matching = appState.currentMatching;
+    if (!matching || isRoommates()) {
+        showToast('Solve first to target the shown matching', 'warning');
+        return;
+    }
+    setTargetPairs(appState.participants.groupA
+        .filter(a => matching[a])
+        .map(a => ({ a, b: matching[a] })));
+}
+
+/**
+ * Search for the fewest edits that make the solver match the target pairs
+ */
+async function handleFindTargetEdits() {
+    const target = appState.target;
+    const basis = currentPermalink();
+    
+    try {
+        const result = await runSolver({
+            type: 'target',
+            instance: currentInstance(),
+            pairs: target.pairs,
+            settings: {
+                notion: elements.stabilitySelect.value,
+                objective: elements.objectiveSelect.value,
+                proposerSide: elements.proposerSelect.value
+            }
+        });
+        if (appState.target !== target) return;
+        // Null means the search ruled out every sequence
+        target.result = result || { edits: null, optimal: true };
+        target.basis = basis;
+        renderTargetSection();
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error('Error searching for edits:', error);
+        showToast('Error searching for edits. Please try again.', 'error');
+    }
+}
+
+/**
+ * Apply the edits found for the target pairs and re-solve
+ */
+function handleApplyTargetEdits() {
+    const { result, basis } = appState.target;
+    if (!result || !result.edits || basis !== currentPermalink()) {
+        showToast('The preferences changed; find edits again', 'warning');
+        renderTargetSection();
+        return;
+    }
+    
+    appState.preferences = result.edits.reduce(
+        (prefs, edit) => applySuggestion(edit, prefs.prefsA, prefs.prefsB),
+        appState.preferences
+    );
+    appState.target.result = null;
+    recordHistory(`Applied ${result.edits.length} swap${result.edits.length === 1 ? '' : 's'} for the target pairs`);
+    renderPreferences();
+    solveAndUpdate();
+    showToast(`Applied ${result.edits.length} swap${result.edits.length === 1 ? '' : 's'}`, 'success');
+}
+
+/**
+ * Switch between the instance view and the batch experiments view
+ */
+function handleToggleExperiments() {
+    const showExperiments = elements.experimentsView.hidden;
+    elements.experimentsView.hidden = !showExperiments;
+    elements.mainContent.hidden = showExperiments;
+    elements.experimentsBtn.textContent = showExperiments ? 'Back to instance' : 'Experiments';
+}
+
+/**
+ * Read the experiment settings, or explain what is wrong with them
+ */
+function readExperimentSpec() {
+    const sizes = elements.experimentSizes.value.split(/[\s,]+/).filter(Boolean).map(Number);
+    if (sizes.length === 0 || sizes.some(n => !Number.isInteger(n) || n < 2 || n > EXPERIMENT_MAX_SIZE)) {
+        throw new Error(`Sizes must be whole numbers from 2 to ${EXPERIMENT_MAX_SIZE}`);
+    }
+    const trials = Number(elements.experimentTrials.value);
+    if (!Number.isInteger(trials) || trials < 1 || trials > EXPERIMENT_MAX_TRIALS) {
+        throw new Error(`Trials must be a whole number from 1 to ${EXPERIMENT_MAX_TRIALS}`);
+    }
+    const models = [...elements.experimentModels.querySelectorAll('input:checked')].map(input => input.value);
+    if (models.length === 0) {
+        throw new Error('Pick at least one model');
+    }
+    
+    if (!elements.experimentSeed.value.trim()) {
+        elements.experimentSeed.value = randomSeed();
+    }
+    return {
+        sizes: [...new Set(sizes)].sort((x, y) => x - y),
+        models,
+        trials,
+        seed: elements.experimentSeed.value.trim(),
+        proposerSide: elements.proposerSelect.value
+    };
+}
+
+/**
+ * Run the batch experiment in the solver worker and chart the results
+ */
+async function handleRunExperiments() {
+    let spec;
+    try {
+        spec = readExperimentSpec();
+    } catch (error) {
+        showToast(error.message, 'error');
+        return;
+    }
+    
+    const start = performance.now();
+    try {
+        const rows = await runSolver({ type: 'experiment', spec });
+        appState.experiments = {
+            spec,
+            rows,
+            summary: summarizeExperiments(rows),
+            seconds: (performance.now() - start) / 1000
+        };
+        renderExperiments();
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error('Error running experiments:', error);
+        showToast('Error running experiments. Please try again.', 'error');
+    }
+}
+
+/**
+ * Download the raw rows of the last experiment
+ */
+function handleExportExperiments() {
+    if (!appState.experiments) return;
+    downloadFile('smp-experiments.csv', exportExperimentsCSV(appState.experiments.rows), 'text/csv');
+}
+
+/**
+ * Render the charts and summary table of the last experiment
+ */
+function renderExperiments() {
+    const { spec, rows, summary, seconds } = appState.experiments;
+    const modelLabel = model => elements.modelSelect.querySelector(`option[value="${model}"]`).textContent;
+    
+    const capped = rows.filter(row => row.truncated).length;
+    elements.experimentStatus.textContent =
+        `${rows.length} instances (${spec.models.length} model${spec.models.length === 1 ? '' : 's'} × ` +
+        `${spec.sizes.length} size${spec.sizes.length === 1 ? '' : 's'} × ${spec.trials} trials) ` +
+        `with ${sideLabel(spec.proposerSide)} proposing, in ${seconds.toFixed(1)} s. Points show the mean and bars one standard deviation.` +
+        (capped > 0 ? ` Stable matchings were counted up to a cap that ${capped} instance${capped === 1 ? '' : 's'} reached.` : '');
+    elements.experimentExportBtn.disabled = false;
+    
+    // One chart per measurement, one line per model
+    elements.experimentCharts.innerHTML = '';
+    EXPERIMENT_METRICS.forEach(metric => {
+        const series = spec.models.map(model => ({
+            label: modelLabel(model),
+            points: summary
+                .filter(group => group.model === model)
+                .map(group => ({ x: group.n, mean: group[metric].mean, sd: group[metric].sd }))
+        }));
+        const range = metric.endsWith('Satisfaction') ? { min: 0, max: 1 } : null;
+        elements.experimentCharts.appendChild(createLineChart(EXPERIMENT_LABELS[metric], series, range));
+    });
+    
+    const legend = document.createElement('div');
+    legend.className = 'chart-legend';
+    spec.models.forEach((model, index) => {
+        const item = document.createElement('span');
+        item.className = `chart-legend-item chart-series-${index % 5}`;
+        item.textContent = modelLabel(model);
+        legend.appendChild(item);
+    });
+    elements.experimentCharts.appendChild(legend);
+    
+    elements.experimentTable.hidden = false;
+    elements.experimentRows.innerHTML = '';
+    summary.forEach(group => {
+        const row = document.createElement('tr');
+        const describe = ({ mean, sd }, digits) => `${mean.toFixed(digits)} ± ${sd.toFixed(digits)}`;
+        const cells = [
+            modelLabel(group.model),
+            group.n,
+            group.count,
+            describe(group.proposals, 1),
+            describe(group.proposerSatisfaction, 3),
+            describe(group.receiverSatisfaction, 3),
+            describe(group.stableMatchings, 1)
+        ];
+        cells.forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        elements.experimentRows.appendChild(row);
+    });
+}
+
+/**
+ * Draw an SVG line chart of means against n, with ±1 standard deviation bars
+ */
+function createLineChart(title, series, range) {
+    const { width, height, left, right, top, bottom } = CHART_LAYOUT;
+    const points = series.flatMap(({ points }) => points);
+    const xs = [...new Set(points.map(point => point.x))].sort((x, y) => x - y);
+    const yMax = range ? range.max : niceCeiling(Math.max(...points.map(({ mean, sd }) => mean + sd)));
+    const yMin = range ? range.min : 0;
+    
+    const xFor = x => xs.length === 1
+        ? (left + width - right) / 2
+        : left + ((x - xs[0]) / (xs[xs.length - 1] - xs[0])) * (width - left - right);
+    const yFor = y => top + (1 - (y - yMin) / (yMax - yMin)) * (height - top - bottom);
+    
+    const svg = svgElement('svg', { viewBox: `0 0 ${width} ${height}`, class: 'experiment-chart', role: 'img', 'aria-label': title });
+    const add = (parent, tag, attributes, text) => parent.appendChild(svgElement(tag, attributes, text));
+    
+    // Grid lines with y labels, and x labels at every size
+    for (let tick = 0; tick <= 4; tick++) {
+        const value = yMin + (tick / 4) * (yMax - yMin);
+        const y = yFor(value);
+        add(svg, 'line', { x1: left, x2: width - right, y1: y, y2: y, class: 'chart-grid' });
+        add(svg, 'text', { x: left - 6, y: y + 4, class: 'chart-label chart-label-y' },
+            Number.isInteger(value) ? String(value) : value.toFixed(2));
+    }
+    xs.forEach(x => {
+        add(svg, 'text', { x: xFor(x), y: height - bottom + 16, class: 'chart-label chart-label-x' }, String(x));
+    });
+    add(svg, 'text', { x: (left + width - right) / 2, y: height - 4, class: 'chart-label chart-label-x' }, 'n');
+    
+    series.forEach(({ label, points: line }, index) => {
+        const group = add(svg, 'g', { class: `chart-series-${index % 5}` });
+        add(group, 'polyline', {
+            points: line.map(({ x, mean }) => `${xFor(x)},${yFor(mean)}`).join(' '),
+            class: 'chart-line'
+        });
+        line.forEach(({ x, mean, sd }) => {
+            const low = Math.max(yMin, mean - sd);
+            const high = Math.min(yMax, mean + sd);
+            add(group, 'line', { x1: xFor(x), x2: xFor(x), y1: yFor(low), y2: yFor(high), class: 'chart-error' });
+            const point = add(group, 'circle', { cx: xFor(x), cy: yFor(mean), r: 3, class: 'chart-point' });
+            add(point, 'title', {}, `${label}, n = ${x}: ${mean.toFixed(2)} ± ${sd.toFixed(2)}`);
+        });
+    });
+    
+    const figure = document.createElement('figure');
+    figure.className = 'experiment-figure';
+    const caption = document.createElement('figcaption');
+    caption.textContent = title;
+    figure.appendChild(caption);
+    figure.appendChild(svg);
+    return figure;
+}
+
+/**
+ * Create an SVG element with the given attributes and, optionally, text
+ */
+function svgElement(tag, attributes = {}, text) {
+    const node = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => node.setAttribute(name, value));
+    if (text !== undefined) node.textContent = text;
+    return node;
+}
+
+/**
+ * Round an axis maximum up to 1, 2 or 5 times a power of ten
+ */
+function niceCeiling(value) {
+    if (!(value > 0)) return 1;
+    const power = 10 ** Math.floor(Math.log10(value));
+    const step = [1, 2, 5, 10].find(multiple => multiple * power >= value);
+    return step * power;
+}
+
 /**
  * Show a toast notification
  */
@@ -839,11 +4232,12 @@ function showToast(message, type = 'success') {
 }
 
 /**
- * Handle window resize for responsive diagram
+ * Handle window resize, redrawing the lattice edges; the SVG diagrams scale
+ * by themselves
  */
 function handleResize() {
     if (appState.currentMatching) {
-        renderBipartiteDiagram();
+        renderLattice();
     }
 }
 
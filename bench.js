@@ -0,0 +1,107 @@
+/**
+ * Solver Benchmark
+ *
+ * Times the solver and analysis functions on random complete instances of
+ * growing size. Run with Node:
+ *
+ *     node bench.js [size ...] [--seed=N]
+ *
+ * Each size is the number of participants per side (default 500, 1000,
+ * 2000 and 5000). Instances come from the seeded generator, so timings are
+ * comparable between runs. Suggestions are only simulated up to
+ * SUGGESTION_MAX_SIZE per side, so larger sizes show them as skipped.
+ */
+
+import {
+    createRandom,
+    generateParticipants,
+    generateRandomPreferences,
+    runGaleShapley,
+    runHospitalsResidents,
+    findBlockingPairs,
+    computeMetrics,
+    analyzeMatching,
+    generateSuggestions,
+    SUGGESTION_MAX_SIZE
+} from './smp.js';
+
+const DEFAULT_SIZES = [500, 1000, 2000, 5000];
+
+/**
+ * Run a function once and measure it
+ * @param {Function} fn - Function to time
+ * @returns {Object} Object with the result and the time taken in milliseconds
+ */
+function time(fn) {
+    const start = performance.now();
+    const result = fn();
+    return { result, ms: performance.now() - start };
+}
+
+/**
+ * Time every step on one random instance
+ * @param {number} n - Participants per side
+ * @param {string} seed - Generator seed
+ * @returns {Object} Milliseconds per step (null for a skipped step)
+ */
+function benchmarkSize(n, seed) {
+    const { groupA, groupB } = generateParticipants(n, n);
+    const generated = time(() => generateRandomPreferences(groupA, groupB, { random: createRandom(seed) }));
+    const { prefsA, prefsB } = generated.result;
+    
+    // Ten places per hospital for the many-to-one run
+    const capacities = {};
+    groupB.slice(0, Math.ceil(n / 10)).forEach(b => {
+        capacities[b] = 10;
+    });
+    const hospitalPrefs = {};
+    Object.keys(capacities).forEach(b => {
+        hospitalPrefs[b] = prefsB[b];
+    });
+    
+    const solved = time(() => runGaleShapley(prefsA, prefsB));
+    const { matching } = solved.result;
+    const blocking = time(() => findBlockingPairs(matching, prefsA, prefsB));
+    const metrics = time(() => computeMetrics(matching, prefsA, prefsB, blocking.result));
+    const analysis = time(() => analyzeMatching(matching, prefsA, prefsB, blocking.result, metrics.result));
+    const suggestions = n <= SUGGESTION_MAX_SIZE
+        ? time(() => generateSuggestions(matching, prefsA, prefsB, blocking.result, analysis.result))
+        : { ms: null };
+    const hospitals = time(() => runHospitalsResidents(prefsA, hospitalPrefs, capacities));
+    
+    return {
+        generate: generated.ms,
+        galeShapley: solved.ms,
+        blockingPairs: blocking.ms,
+        metrics: metrics.ms,
+        analysis: analysis.ms,
+        suggestions: suggestions.ms,
+        hospitalsResidents: hospitals.ms
+    };
+}
+
+/**
+ * Parse the command line, run each size and print a table of timings
+ */
+function main() {
+    const args = process.argv.slice(2);
+    const seedArg = args.find(arg => arg.startsWith('--seed='));
+    const seed = seedArg ? seedArg.slice('--seed='.length) : '1';
+    const sizes = args.filter(arg => !arg.startsWith('--')).map(Number);
+    
+    if (sizes.some(n => !Number.isInteger(n) || n < 1)) {
+        console.error('Usage: node bench.js [size ...] [--seed=N]');
+        process.exit(1);
+    }
+    
+    const rows = {};
+    for (const n of sizes.length > 0 ? sizes : DEFAULT_SIZES) {
+        const timings = benchmarkSize(n, seed);
+        rows[`${n} × ${n}`] = Object.fromEntries(
+            Object.entries(timings).map(([step, ms]) => [step, ms === null ? 'skipped' : `${ms.toFixed(1)} ms`])
+        );
+    }
+    console.table(rows);
+}
+
+main();
@@ -0,0 +1,212 @@
+/**
+ * Command-Line Interface
+ *
+ * Solves an instance from a JSON or CSV file (in the formats the app
+ * imports and exports) or from standard input, and prints the matching,
+ * its blocking pairs and metrics. Run with Node:
+ *
+ *     node cli.js [file|-] [--proposer=A|B] [--format=table|json] [--input=json|csv]
+ *
+ * Two-sided instances are solved with deferred acceptance (with capacities,
+ * Hospitals/Residents) for the chosen proposing side, single pools with
+ * Irving's algorithm. Ties are broken in listed order. The JSON output is
+ * meant for scripts: {mode, proposerSide, pairs, unmatched, blockingPairs,
+ * metrics}, with the metrics exactly as computeMetrics (or, for a single
+ * pool, computeRoommateMetrics) returns them and a single pool's odd
+ * parties in oddParties.
+ */
+
+import { readFileSync } from 'node:fs';
+import {
+    runGaleShapley,
+    runHospitalsResidents,
+    runIrvingRoommates,
+    findBlockingPairs,
+    findRoommateBlockingPairs,
+    computeMetrics,
+    computeRoommateMetrics
+} from './smp.js';
+import { parseInstanceJSON, parseInstanceCSV } from './io.js';
+
+const USAGE = 'Usage: node cli.js [file|-] [--proposer=A|B] [--format=table|json] [--input=json|csv]';
+
+/**
+ * Read the options and the input file from the command line
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} Object with file (null or '-' for stdin), proposerSide,
+ *     format and input ('json', 'csv' or null to detect)
+ * @throws {Error} If an argument is not recognised
+ */
+function parseArguments(args) {
+    const options = { file: null, proposerSide: 'A', format: 'table', input: null };
+    const allowed = { proposer: ['A', 'B'], format: ['table', 'json'], input: ['json', 'csv'] };
+    
+    args.forEach(arg => {
+        const option = arg.match(/^--(\w+)=(.*)$/);
+        if (option && allowed[option[1]] && allowed[option[1]].includes(option[2])) {
+            options[option[1] === 'proposer' ? 'proposerSide' : option[1]] = option[2];
+        } else if (!arg.startsWith('--') && options.file === null) {
+            options.file = arg;
+        } else {
+            throw new Error(`Unknown argument "${arg}"`);
+        }
+    });
+    return options;
+}
+
+/**
+ * Parse an instance, choosing the format from the option, the file
+ * extension or the text itself (JSON starts with "{")
+ * @param {string} text - File contents
+ * @param {Object} options - Parsed command-line options
+ * @returns {Object} The instance
+ */
+function readInstance(text, options) {
+    const extension = options.file && options.file.match(/\.(json|csv)$/i);
+    const format = options.input ||
+        (extension ? extension[1].toLowerCase() : text.trimStart().startsWith('{') ? 'json' : 'csv');
+    return format === 'json' ? parseInstanceJSON(text) : parseInstanceCSV(text);
+}
+
+/**
+ * Solve an instance and collect everything printed about it
+ * @param {Object} instance - Parsed instance
+ * @param {string} proposerSide - Which side proposes ('A' or 'B')
+ * @returns {Object} Object with mode, proposerSide (null for a single
+ *     pool), pairs, unmatched, blockingPairs and metrics, plus oddParties
+ *     for a single pool
+ */
+function solve(instance, proposerSide) {
+    if (instance.mode === 'roommates') {
+        const { preferences } = instance;
+        const { matching, oddParties } = runIrvingRoommates(preferences);
+        const blockingPairs = findRoommateBlockingPairs(matching, preferences);
+        const metrics = computeRoommateMetrics(matching, preferences, blockingPairs);
+        const pool = Object.keys(preferences);
+        const pairs = pool
+            .filter(p => matching[p] && pool.indexOf(p) < pool.indexOf(matching[p]))
+            .map(p => ({ p, q: matching[p] }));
+        return {
+            mode: 'roommates',
+            proposerSide: null,
+            pairs,
+            unmatched: metrics.unmatched,
+            oddParties,
+            blockingPairs,
+            metrics
+        };
+    }
+    
+    const { prefsA, prefsB } = instance;
+    const capacities = instance.capacities || null;
+    const { matching } = capacities
+        ? runHospitalsResidents(prefsA, prefsB, capacities, proposerSide)
+        : runGaleShapley(prefsA, prefsB, proposerSide);
+    const blockingPairs = findBlockingPairs(matching, prefsA, prefsB, 'weak', capacities);
+    const metrics = computeMetrics(matching, prefsA, prefsB, blockingPairs, proposerSide, capacities);
+    return {
+        mode: instance.mode,
+        proposerSide,
+        pairs: Object.keys(prefsA).filter(a => matching[a]).map(a => ({ a, b: matching[a] })),
+        unmatched: [...metrics.unmatchedA, ...metrics.unmatchedB],
+        blockingPairs,
+        metrics
+    };
+}
+
+/**
+ * Print a result as tables: the pairs with each partner's 1-based rank,
+ * the blocking pairs and the numeric metrics
+ * @param {Object} result - Result from solve
+ * @param {Object} instance - The instance, for the ranks and side labels
+ */
+function printTables(result, instance) {
+    const rankOf = (preferences, person, partner) =>
+        preferences[person].findIndex(entry => [entry].flat().includes(partner)) + 1;
+    
+    let rows;
+    if (result.mode === 'roommates') {
+        const { preferences } = instance;
+        console.log('Matching');
+        rows = result.pairs.map(({ p, q }) => ({
+            P: p,
+            Q: q,
+            'Rank of Q for P': rankOf(preferences, p, q),
+            'Rank of P for Q': rankOf(preferences, q, p)
+        }));
+    } else {
+        const { prefsA, prefsB, labels } = instance;
+        const proposers = labels ? labels[result.proposerSide] : `Group ${result.proposerSide}`;
+        console.log(`Matching (${proposers} proposing)`);
+        rows = result.pairs.map(({ a, b }) => ({
+            A: a,
+            B: b,
+            'Rank of B for A': rankOf(prefsA, a, b),
+            'Rank of A for B': rankOf(prefsB, b, a)
+        }));
+    }
+    if (rows.length > 0) {
+        console.table(rows);
+    } else {
+        console.log('No pairs');
+    }
+    if (result.oddParties && result.oddParties.length > 0) {
+        console.log(`No stable matching exists; odd parties: ${result.oddParties.map(party => party.join(' → ')).join('; ')}`);
+    }
+    console.log(`Unmatched: ${result.unmatched.length > 0 ? result.unmatched.join(', ') : 'none'}`);
+    
+    console.log(`\nBlocking pairs: ${result.blockingPairs.length}`);
+    if (result.blockingPairs.length > 0) {
+        console.table(result.blockingPairs);
+    }
+    
+    console.log('\nMetrics');
+    console.table(Object.fromEntries(
+        Object.entries(result.metrics).filter(([, value]) => typeof value === 'number')
+    ));
+}
+
+/**
+ * Parse the command line, solve the instance and print the result
+ */
+function main() {
+    let options;
+    try {
+        options = parseArguments(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n${USAGE}`);
+        process.exit(1);
+    }
+    
+    const fromStdin = options.file === null || options.file === '-';
+    if (fromStdin && process.stdin.isTTY) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+    
+    let instance;
+    try {
+        instance = readInstance(readFileSync(fromStdin ? 0 : options.file, 'utf8'), options);
+    } catch (error) {
+        // Validation errors list every problem found
+        const problems = error.errors || [error.message];
+        console.error(`Could not read the instance:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        process.exit(1);
+    }
+    
+    let result;
+    try {
+        result = solve(instance, options.proposerSide);
+    } catch (error) {
+        console.error(`Could not solve the instance: ${error.message}`);
+        process.exit(1);
+    }
+    
+    if (options.format === 'json') {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        printTables(result, instance);
+    }
+}
+
+main();
@@ -0,0 +1,122 @@
+/**
+ * Batch Experiments Module
+ *
+ * Runs Gale-Shapley on many random instances across a range of sizes and
+ * preference models, and summarises the distributions: total proposals,
+ * proposer and receiver satisfaction, and the number of stable matchings.
+ * Like solver.js it has no DOM dependencies, so experiments can run in the
+ * solver worker.
+ */
+
+import {
+    createRandom,
+    generateParticipants,
+    generateRandomPreferences,
+    runGaleShapley,
+    computeMetrics,
+    enumerateStableMatchings
+} from './smp.js';
+
+// The measurements taken on every instance, in CSV and chart order
+export const EXPERIMENT_METRICS = ['proposals', 'proposerSatisfaction', 'receiverSatisfaction', 'stableMatchings'];
+
+/**
+ * Run a batch of random instances
+ *
+ * Every instance gets its own seed, "<seed>-<model>-<n>-<trial>", and is
+ * generated exactly as the app does for that seed, model and size (strict,
+ * complete lists), so any row can be reopened by typing its seed in.
+ * @param {Object} spec - {sizes (participants per side), models, trials
+ *     per size and model, seed, proposerSide, matchingLimit (stop counting
+ *     stable matchings there, default 1000)}
+ * @param {Function} onProgress - Called with {label, done, total} before
+ *     each instance
+ * @returns {Array} One row per instance: {model, n, trial, seed,
+ *     proposals, proposerSatisfaction, receiverSatisfaction,
+ *     stableMatchings, truncated}
+ */
+export function runExperiments(spec, onProgress = () => {}) {
+    const { sizes, models, trials, seed, proposerSide = 'A', matchingLimit = 1000 } = spec;
+    const total = sizes.length * models.length * trials;
+    const rows = [];
+    
+    models.forEach(model => {
+        sizes.forEach(n => {
+            const { groupA, groupB } = generateParticipants(n);
+            for (let trial = 1; trial <= trials; trial++) {
+                onProgress({ label: `${model}, n = ${n}`, done: rows.length, total });
+                
+                const instanceSeed = `${seed}-${model}-${n}-${trial}`;
+                const { prefsA, prefsB } = generateRandomPreferences(groupA, groupB, {
+                    tieProbability: 0,
+                    model,
+                    random: createRandom(instanceSeed)
+                });
+                const { matching, proposalCounts } = runGaleShapley(prefsA, prefsB, proposerSide);
+                const metrics = computeMetrics(matching, prefsA, prefsB, [], proposerSide);
+                const { matchings, truncated } = enumerateStableMatchings(prefsA, prefsB, matchingLimit);
+                
+                rows.push({
+                    model,
+                    n,
+                    trial,
+                    seed: instanceSeed,
+                    proposals: Object.values(proposalCounts).reduce((sum, count) => sum + count, 0),
+                    proposerSatisfaction: metrics.proposerSatisfaction,
+                    receiverSatisfaction: metrics.receiverSatisfaction,
+                    stableMatchings: matchings.length,
+                    truncated
+                });
+            }
+        });
+    });
+    
+    return rows;
+}
+
+/**
+ * Summarise experiment rows per model and size
+ * @param {Array} rows - Rows from runExperiments
+ * @returns {Array} One group per model and size, in the order first seen:
+ *     {model, n, count, and for each of EXPERIMENT_METRICS {mean, sd, min,
+ *     median, max}}
+ */
+export function summarizeExperiments(rows) {
+    const groups = new Map();
+    rows.forEach(row => {
+        const key = `${row.model}\u0000${row.n}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+    });
+    
+    return [...groups.values()].map(group => {
+        const summary = { model: group[0].model, n: group[0].n, count: group.length };
+        EXPERIMENT_METRICS.forEach(metric => {
+            summary[metric] = describeSample(group.map(row => row[metric]));
+        });
+        return summary;
+    });
+}
+
+/**
+ * Describe a sample of numbers
+ * @param {Array} values - The sample (at least one value)
+ * @returns {Object} Object with mean, sd (sample standard deviation, 0 for
+ *     a single value), min, median and max
+ */
+function describeSample(values) {
+    const sorted = [...values].sort((x, y) => x - y);
+    const count = sorted.length;
+    const mean = sorted.reduce((sum, value) => sum + value, 0) / count;
+    const variance = count > 1
+        ? sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (count - 1)
+        : 0;
+    const middle = Math.floor(count / 2);
+    return {
+        mean,
+        sd: Math.sqrt(variance),
+        min: sorted[0],
+        median: count % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+        max: sorted[count - 1]
+    };
+}
@@ -0,0 +1,860 @@
+/**
+ * Instance Import and Export
+ *
+ * This module reads and writes matching instances: JSON holding the
+ * preferences (plus an optional matching and its metrics), CSV rank
+ * matrices that can be edited in a spreadsheet, and compact URL hashes for
+ * shareable links. Everything read is validated so problems can be
+ * reported before the instance is used. Batch experiment results are
+ * written as CSV too.
+ */
+
+const FORMAT = 'smp-instance';
+const VERSION = 1;
+
+// Diagnostic codes for instances that can be solved but may surprise; every
+// other code is an error
+const WARNING_CODES = new Set(['unequal-groups', 'empty-list', 'odd-pool']);
+
+/**
+ * Serialise an instance as JSON, optionally with a matching and metrics
+ * @param {Object} instance - {mode, prefsA, prefsB, capacities} for a
+ *     two-sided instance or {mode: 'roommates', preferences} for a single
+ *     pool, optionally with labels (two-sided only, {A, B} naming the sides)
+ *     and attributes ({participant: {name: value}})
+ * @param {Object} results - Optional {matching, metrics} to include
+ * @returns {string} Pretty-printed JSON
+ */
+export function exportInstanceJSON(instance, results = {}) {
+    const mode = instance.mode || 'one-to-one';
+    const data = { format: FORMAT, version: VERSION, mode };
+    
+    if (mode === 'roommates') {
+        data.preferences = instance.preferences;
+    } else {
+        data.prefsA = instance.prefsA;
+        data.prefsB = instance.prefsB;
+        if (mode === 'many-to-one') {
+            data.capacities = instance.capacities;
+        }
+        if (instance.labels) data.labels = instance.labels;
+    }
+    if (instance.attributes && Object.keys(instance.attributes).length > 0) {
+        data.attributes = instance.attributes;
+    }
+    
+    if (results.matching) data.matching = results.matching;
+    if (results.metrics) data.metrics = results.metrics;
+    
+    return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Read an instance from JSON. Only the preferences (and capacities) are
+ * used; any stored matching is ignored since it is recomputed.
+ * @param {string} text - JSON text
+ * @returns {Object} The instance, in the shape exportInstanceJSON takes
+ * @throws {Error} If the JSON is malformed or the instance is invalid; the
+ *     error's errors property lists every problem found
+ */
+export function parseInstanceJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Not valid JSON: ${error.message}`);
+    }
+    
+    if (!isPlainObject(data)) {
+        throw new Error('Expected a JSON object with prefsA and prefsB');
+    }
+    
+    if (data.mode === 'roommates' || (data.preferences && !data.prefsA)) {
+        const instance = { mode: 'roommates', preferences: data.preferences };
+        if (data.attributes !== undefined) instance.attributes = data.attributes;
+        throwIfInvalidInstance(instance);
+        return instance;
+    }
+    
+    const manyToOne = data.mode === 'many-to-one' || data.capacities !== undefined;
+    const instance = manyToOne
+        ? { mode: 'many-to-one', prefsA: data.prefsA, prefsB: data.prefsB, capacities: data.capacities }
+        : { mode: 'one-to-one', prefsA: data.prefsA, prefsB: data.prefsB };
+    if (data.labels !== undefined) instance.labels = data.labels;
+    if (data.attributes !== undefined) instance.attributes = data.attributes;
+    throwIfInvalidInstance(instance);
+    return instance;
+}
+
+/**
+ * Write a two-sided instance as two CSV rank matrices separated by a blank
+ * line: group A's ranks of group B, then group B's ranks of group A. Equal
+ * numbers mark ties and empty cells unacceptable partners. Capacities, if
+ * any, go in a final "capacity" column of group B's matrix.
+ * @param {Object} instance - {prefsA, prefsB, capacities}
+ * @returns {string} CSV text
+ */
+export function exportInstanceCSV(instance) {
+    const { prefsA, prefsB, capacities } = instance;
+    const groupA = Object.keys(prefsA);
+    const groupB = Object.keys(prefsB);
+    
+    const matrix = (label, preferences, rows, columns, extra) => {
+        const header = [label, ...columns, ...(extra ? [extra.label] : [])];
+        const body = rows.map(id => {
+            const ranks = rankLookup(preferences[id]);
+            const cells = columns.map(other => ranks.has(other) ? String(ranks.get(other)) : '');
+            return [id, ...cells, ...(extra ? [String(extra.value(id))] : [])];
+        });
+        return [header, ...body];
+    };
+    
+    const rows = [
+        ...matrix('A ranks', prefsA, groupA, groupB),
+        [],
+        ...matrix('B ranks', prefsB, groupB, groupA,
+            capacities ? { label: 'capacity', value: b => capacities[b] } : null)
+    ];
+    
+    return rows.map(row => row.map(toCSVCell).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Read a two-sided instance from CSV rank matrices in the layout written
+ * by exportInstanceCSV. Ranks need not be consecutive: entries are ordered
+ * by rank and equal ranks become ties.
+ * @param {string} text - CSV text
+ * @returns {Object} The instance ({mode, prefsA, prefsB, capacities})
+ * @throws {Error} If the layout or the instance is invalid; the error's
+ *     errors property lists every problem found
+ */
+export function parseInstanceCSV(text) {
+    const blocks = [];
+    let current = null;
+    parseCSVRows(text).forEach((cells, index) => {
+        if (cells.every(cell => cell.trim() === '')) {
+            current = null;
+            return;
+        }
+        if (!current) {
+            current = [];
+            blocks.push(current);
+        }
+        current.push({ cells: cells.map(cell => cell.trim()), line: index + 1 });
+    });
+    
+    if (blocks.length !== 2) {
+        throw new Error(
+            `Expected two rank matrices separated by a blank line (group A's ranks of group B, then group B's ranks of group A), found ${blocks.length}`
+        );
+    }
+    
+    const errors = [];
+    const matrixA = readRankMatrix(blocks[0], "group A's matrix", errors);
+    const matrixB = readRankMatrix(blocks[1], "group B's matrix", errors);
+    
+    // Each matrix's rows must be the other's columns
+    matrixA.columns.filter(id => !matrixB.rows.includes(id)).forEach(id => {
+        errors.push(`${id} is ranked in group A's matrix but has no row in group B's matrix`);
+    });
+    matrixB.rows.filter(id => !matrixA.columns.includes(id)).forEach(id => {
+        errors.push(`${id} has a row in group B's matrix but is missing from the header of group A's matrix`);
+    });
+    matrixB.columns.filter(id => !matrixA.rows.includes(id)).forEach(id => {
+        errors.push(`${id} is ranked in group B's matrix but has no row in group A's matrix`);
+    });
+    matrixA.rows.filter(id => !matrixB.columns.includes(id)).forEach(id => {
+        errors.push(`${id} has a row in group A's matrix but is missing from the header of group B's matrix`);
+    });
+    if (matrixA.capacities) {
+        errors.push('Only group B\'s matrix can have a capacity column');
+    }
+    throwIfInvalid(errors);
+    
+    const prefsA = matrixA.preferences;
+    const prefsB = matrixB.preferences;
+    const capacities = matrixB.capacities;
+    const instance = capacities
+        ? { mode: 'many-to-one', prefsA, prefsB, capacities }
+        : { mode: 'one-to-one', prefsA, prefsB };
+    throwIfInvalidInstance(instance);
+    return instance;
+}
+
+/**
+ * Serialise batch experiment results as CSV, one row per instance with a
+ * header line naming the columns
+ * @param {Array} rows - Rows from runExperiments
+ * @returns {string} CSV text
+ */
+export function exportExperimentsCSV(rows) {
+    const columns = ['model', 'n', 'trial', 'seed', 'proposals', 'proposerSatisfaction',
+        'receiverSatisfaction', 'stableMatchings', 'truncated'];
+    const lines = [columns, ...rows.map(row => columns.map(column => String(row[column])))];
+    return lines.map(line => line.map(toCSVCell).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Encode an instance and the way it is viewed as a compact URL hash, e.g.
+ * "m=one-to-one&a=A1,A2&b=B1,B2&pa=0.1_1-0&pb=1.0_0&p=A". Each list gives
+ * the indices of the other group's members, with "." between ranks, "-"
+ * between tied entries and "_" between lists, so none of them need escaping.
+ * Side labels are kept too, but attributes are left to JSON exports. The
+ * view can also name a stable matching picked in the lattice, by its index,
+ * and whether the preferences show as cards or a rank matrix.
+ * @param {Object} instance - {mode, prefsA, prefsB, capacities, labels} for
+ *     a two-sided instance or {mode: 'roommates', preferences} for a single pool
+ * @param {Object} view - Optional {proposerSide, notion, objective,
+ *     latticeNode, display}
+ * @returns {string} The hash, without the leading "#"
+ */
+export function encodePermalink(instance, view = {}) {
+    const mode = instance.mode || 'one-to-one';
+    const fields = [['m', mode]];
+    
+    if (mode === 'roommates') {
+        const pool = Object.keys(instance.preferences);
+        fields.push(['r', joinIds(pool)], ['pr', encodeLists(instance.preferences, pool)]);
+    } else {
+        const groupA = Object.keys(instance.prefsA);
+        const groupB = Object.keys(instance.prefsB);
+        fields.push(
+            ['a', joinIds(groupA)],
+            ['b', joinIds(groupB)],
+            ['pa', encodeLists(instance.prefsA, groupB)],
+            ['pb', encodeLists(instance.prefsB, groupA)]
+        );
+        if (mode === 'many-to-one') {
+            fields.push(['c', groupB.map(b => instance.capacities[b]).join('_')]);
+        }
+        if (instance.labels) {
+            fields.push(['la', joinIds([instance.labels.A])], ['lb', joinIds([instance.labels.B])]);
+        }
+    }
+    
+    if (view.proposerSide) fields.push(['p', view.proposerSide]);
+    if (view.notion) fields.push(['s', view.notion]);
+    if (view.objective) fields.push(['o', view.objective]);
+    if (Number.isInteger(view.latticeNode)) fields.push(['l', view.latticeNode]);
+    if (view.display) fields.push(['v', view.display]);
+    
+    return fields.map(([key, value]) => `${key}=${value}`).join('&');
+}
+
+/**
+ * Decode a URL hash written by encodePermalink
+ * @param {string} hash - The hash, with or without the leading "#"
+ * @returns {Object|null} Object with the instance and view, or null if the
+ *     hash is empty
+ * @throws {Error} If the hash is damaged or describes an invalid instance
+ */
+export function decodePermalink(hash) {
+    const params = new Map();
+    hash.replace(/^#/, '').split('&').forEach(field => {
+        const separator = field.indexOf('=');
+        if (separator > 0) {
+            params.set(field.slice(0, separator), field.slice(separator + 1));
+        }
+    });
+    if (!params.has('m')) return null;
+    
+    const mode = params.get('m');
+    const view = {
+        proposerSide: params.get('p') || undefined,
+        notion: params.get('s') || undefined,
+        objective: params.get('o') || undefined,
+        latticeNode: /^\d+$/.test(params.get('l')) ? Number(params.get('l')) : undefined,
+        display: params.get('v') || undefined
+    };
+    
+    if (mode === 'roommates') {
+        const pool = splitIds(params.get('r'));
+        const instance = { mode, preferences: decodeLists(params.get('pr'), pool, pool) };
+        throwIfInvalidInstance(instance);
+        return { instance, view };
+    }
+    
+    if (mode !== 'one-to-one' && mode !== 'many-to-one') {
+        throw new Error(`Unknown mode "${mode}" in link`);
+    }
+    
+    const groupA = splitIds(params.get('a'));
+    const groupB = splitIds(params.get('b'));
+    const prefsA = decodeLists(params.get('pa'), groupA, groupB);
+    const prefsB = decodeLists(params.get('pb'), groupB, groupA);
+    const instance = { mode, prefsA, prefsB };
+    if (params.has('la') && params.has('lb')) {
+        instance.labels = { A: splitIds(params.get('la'))[0], B: splitIds(params.get('lb'))[0] };
+    }
+    
+    if (mode === 'many-to-one') {
+        const places = (params.get('c') || '').split('_');
+        instance.capacities = {};
+        groupB.forEach((b, index) => {
+            instance.capacities[b] = places[index] ? Number(places[index]) : undefined;
+        });
+    }
+    throwIfInvalidInstance(instance);
+    return { instance, view };
+}
+
+/**
+ * Write each person's list as indices into the other group
+ * @param {Object} preferences - Preference lists, keyed in encoding order
+ * @param {Array} others - The people being ranked
+ * @returns {string} Lists separated by "_"
+ */
+function encodeLists(preferences, others) {
+    return Object.values(preferences)
+        .map(list => list
+            .map(entry => (Array.isArray(entry) ? entry : [entry]).map(id => others.indexOf(id)).join('-'))
+            .join('.'))
+        .join('_');
+}
+
+/**
+ * Read lists written by encodeLists back into preference lists
+ * @param {string|null} text - The encoded lists
+ * @param {Array} owners - Who each list belongs to, in order
+ * @param {Array} others - The people being ranked
+ * @returns {Object} Preference lists keyed by owner
+ * @throws {Error} If the lists do not fit the participants
+ */
+function decodeLists(text, owners, others) {
+    const lists = owners.length > 0 ? (text || '').split('_') : [];
+    if (lists.length !== owners.length) {
+        throw new Error(`Link is damaged: expected ${owners.length} preference lists, found ${lists.length}`);
+    }
+    
+    const preferences = {};
+    owners.forEach((owner, index) => {
+        preferences[owner] = lists[index] === '' ? [] : lists[index].split('.').map(rank => {
+            const tied = rank.split('-').map(position => {
+                const other = others[Number(position)];
+                if (!/^\d+$/.test(position) || other === undefined) {
+                    throw new Error(`Link is damaged: ${owner}'s list refers to unknown entry "${position}"`);
+                }
+                return other;
+            });
+            return tied.length > 1 ? tied : tied[0];
+        });
+    });
+    return preferences;
+}
+
+/**
+ * Join participant IDs with commas, escaping each ID so that commas inside
+ * an ID survive
+ * @param {Array} ids - The IDs
+ * @returns {string} The joined IDs
+ */
+function joinIds(ids) {
+    return ids.map(id => encodeURIComponent(id)).join(',');
+}
+
+/**
+ * Split a list written by joinIds
+ * @param {string|undefined} text - The joined IDs, still escaped
+ * @returns {Array} The IDs (empty if none)
+ * @throws {Error} If an ID is not correctly escaped
+ */
+function splitIds(text) {
+    try {
+        return text ? text.split(',').map(id => decodeURIComponent(id)) : [];
+    } catch {
+        throw new Error('Link is damaged: participant names are not correctly escaped');
+    }
+}
+
+/**
+ * Check an instance and describe every problem found, with enough detail
+ * to point at the participant at fault
+ *
+ * Each diagnostic is {code, severity, message, person, side, other}:
+ * person is the participant at fault (null for the instance as a whole),
+ * side their group ('A', 'B', or 'R' for a single pool) and other the
+ * participant they list, where one is involved. Errors make the instance
+ * unusable:
+ *   missing-preferences, empty-group, pool-too-small, id-in-both-groups,
+ *   invalid-list, empty-tie, invalid-entry, duplicate-entry, self-ranking,
+ *   unknown-id, missing-participant, extra-participant, missing-capacities,
+ *   missing-capacity, invalid-capacity, extra-capacity, invalid-labels,
+ *   invalid-attributes, extra-attributes
+ * Warnings are only given for instances without errors:
+ *   unequal-groups, empty-list, odd-pool
+ * @param {Object} instance - {mode, prefsA, prefsB, capacities} for a
+ *     two-sided instance or {mode: 'roommates', preferences} for a single
+ *     pool, optionally with labels and attributes (as exportInstanceJSON
+ *     takes them) and participants ({groupA, groupB} or {pool}) to check
+ *     the lists against
+ * @returns {Array} Diagnostics, errors first
+ */
+export function validateInstance(instance) {
+    if (instance.mode === 'roommates') {
+        const errors = checkPool(instance.preferences, instance.participants);
+        if (errors.length === 0) {
+            errors.push(...checkMetadata(instance, new Map(Object.keys(instance.preferences).map(id => [id, 'R']))));
+        }
+        return errors.length > 0 ? errors : warnPool(instance.preferences);
+    }
+    
+    const { prefsA, prefsB, capacities } = instance;
+    const errors = checkGroups(prefsA, prefsB, instance.participants);
+    const manyToOne = instance.mode === 'many-to-one' || (capacities !== undefined && capacities !== null);
+    if (manyToOne && errors.length === 0) {
+        errors.push(...checkCapacities(capacities, Object.keys(prefsB)));
+    }
+    if (errors.length === 0) {
+        const sides = new Map([
+            ...Object.keys(prefsA).map(id => [id, 'A']),
+            ...Object.keys(prefsB).map(id => [id, 'B'])
+        ]);
+        errors.push(...checkMetadata(instance, sides));
+    }
+    return errors.length > 0 ? errors : warnGroups(prefsA, prefsB, manyToOne ? capacities : null);
+}
+
+/**
+ * Check a two-sided instance: both groups must be non-empty and disjoint,
+ * and every list may only rank members of the other group, each once.
+ * @param {Object} prefsA - Preferences for group A members
+ * @param {Object} prefsB - Preferences for group B members
+ * @returns {Array} Human-readable problems (empty if valid)
+ */
+export function validatePreferences(prefsA, prefsB) {
+    return checkGroups(prefsA, prefsB).map(diagnostic => diagnostic.message);
+}
+
+/**
+ * Check a single-pool instance: lists may only rank other pool members
+ * @param {Object} preferences - Preferences for every member of the pool
+ * @returns {Array} Human-readable problems (empty if valid)
+ */
+export function validateRoommatePreferences(preferences) {
+    return checkPool(preferences).map(diagnostic => diagnostic.message);
+}
+
+/**
+ * Find the errors in a two-sided instance
+ * @param {Object} prefsA - Preferences for group A members
+ * @param {Object} prefsB - Preferences for group B members
+ * @param {Object} participants - Optional {groupA, groupB} roster
+ * @returns {Array} Error diagnostics
+ */
+function checkGroups(prefsA, prefsB, participants) {
+    const errors = [];
+    if (!isPlainObject(prefsA)) {
+        errors.push(diagnose('missing-preferences', 'Missing prefsA: expected an object mapping each group A member to their preference list', { side: 'A' }));
+    }
+    if (!isPlainObject(prefsB)) {
+        errors.push(diagnose('missing-preferences', 'Missing prefsB: expected an object mapping each group B member to their preference list', { side: 'B' }));
+    }
+    if (errors.length > 0) return errors;
+    
+    const groupA = new Set(Object.keys(prefsA));
+    const groupB = new Set(Object.keys(prefsB));
+    if (groupA.size === 0) errors.push(diagnose('empty-group', 'Group A has no participants', { side: 'A' }));
+    if (groupB.size === 0) errors.push(diagnose('empty-group', 'Group B has no participants', { side: 'B' }));
+    groupA.forEach(id => {
+        if (groupB.has(id)) {
+            errors.push(diagnose('id-in-both-groups', `${id} appears in both groups`, { person: id, side: 'A' }));
+        }
+    });
+    
+    if (participants) {
+        errors.push(...checkRoster(prefsA, participants.groupA, 'A', 'group A'));
+        errors.push(...checkRoster(prefsB, participants.groupB, 'B', 'group B'));
+    }
+    errors.push(...checkLists(prefsA, () => groupB, 'group B', 'A'));
+    errors.push(...checkLists(prefsB, () => groupA, 'group A', 'B'));
+    return errors;
+}
+
+/**
+ * Find the errors in a single-pool instance
+ * @param {Object} preferences - Preferences for every member of the pool
+ * @param {Object} participants - Optional {pool} roster
+ * @returns {Array} Error diagnostics
+ */
+function checkPool(preferences, participants) {
+    if (!isPlainObject(preferences)) {
+        return [diagnose('missing-preferences', 'Missing preferences: expected an object mapping each pool member to their preference list', { side: 'R' })];
+    }
+    
+    const pool = new Set(Object.keys(preferences));
+    const errors = pool.size < 2
+        ? [diagnose('pool-too-small', 'The pool needs at least two participants', { side: 'R' })]
+        : [];
+    if (participants) {
+        errors.push(...checkRoster(preferences, participants.pool, 'R', 'the pool'));
+    }
+    errors.push(...checkLists(preferences, () => pool, 'the pool', 'R'));
+    return errors;
+}
+
+/**
+ * Check that a group's lists belong to exactly the participants on its roster
+ * @param {Object} preferences - The group's preference lists
+ * @param {Array} roster - The group's participants
+ * @param {string} side - The group ('A', 'B' or 'R')
+ * @param {string} groupName - How to name the group in messages
+ * @returns {Array} Error diagnostics
+ */
+function checkRoster(preferences, roster, side, groupName) {
+    const errors = [];
+    roster.filter(id => !Object.hasOwn(preferences, id)).forEach(id => {
+        errors.push(diagnose('missing-participant', `${id} is in ${groupName} but has no preference list`, { person: id, side }));
+    });
+    Object.keys(preferences).filter(id => !roster.includes(id)).forEach(id => {
+        errors.push(diagnose('extra-participant', `${id} has a preference list but is not in ${groupName}`, { person: id, side }));
+    });
+    return errors;
+}
+
+/**
+ * Check that every group B member has a positive whole number of places
+ * @param {Object} capacities - Places per group B member
+ * @param {Array} groupB - Group B members
+ * @returns {Array} Error diagnostics
+ */
+function checkCapacities(capacities, groupB) {
+    if (!isPlainObject(capacities)) {
+        return [diagnose('missing-capacities', 'Missing capacities: expected an object giving each group B member a number of places', { side: 'B' })];
+    }
+    
+    const errors = [];
+    groupB.forEach(b => {
+        if (capacities[b] === undefined) {
+            errors.push(diagnose('missing-capacity', `Missing capacity for ${b}`, { person: b, side: 'B' }));
+        } else if (!Number.isInteger(capacities[b]) || capacities[b] < 1) {
+            errors.push(diagnose('invalid-capacity', `${b}'s capacity must be a positive whole number, not ${JSON.stringify(capacities[b])}`, { person: b, side: 'B' }));
+        }
+    });
+    Object.keys(capacities).filter(id => !groupB.includes(id)).forEach(id => {
+        errors.push(diagnose('extra-capacity', `Capacity given for ${id}, who is not in group B`, { side: 'B', other: id }));
+    });
+    return errors;
+}
+
+/**
+ * Check the optional side labels and attributes
+ * @param {Object} instance - Instance with optional labels and attributes
+ * @param {Map} sides - Each participant's group ('A', 'B' or 'R')
+ * @returns {Array} Error diagnostics
+ */
+function checkMetadata(instance, sides) {
+    const errors = [];
+    const { labels, attributes } = instance;
+    const named = side => isPlainObject(labels) && typeof labels[side] === 'string' && labels[side].trim() !== '';
+    if (labels !== undefined && labels !== null && !(named('A') && named('B'))) {
+        errors.push(diagnose('invalid-labels', 'Labels must name both sides, e.g. {"A": "Mentors", "B": "Mentees"}'));
+    }
+    
+    if (attributes === undefined || attributes === null) return errors;
+    if (!isPlainObject(attributes)) {
+        errors.push(diagnose('invalid-attributes', 'Attributes must map participants to their attributes'));
+        return errors;
+    }
+    Object.entries(attributes).forEach(([id, values]) => {
+        if (!sides.has(id)) {
+            errors.push(diagnose('extra-attributes', `Attributes given for ${id}, who is not a participant`, { other: id }));
+        } else if (!isPlainObject(values) ||
+            !Object.values(values).every(value => typeof value === 'string' || typeof value === 'number')) {
+            errors.push(diagnose('invalid-attributes', `${id}'s attributes must map names to text or numbers`, { person: id, side: sides.get(id) }));
+        }
+    });
+    return errors;
+}
+
+/**
+ * Check each preference list: entries (or tie groups of entries) must be
+ * candidate IDs, listed once each
+ * @param {Object} preferences - Preference lists to check
+ * @param {Function} candidatesOf - Returns the set of IDs a person may rank
+ * @param {string} groupName - How to name the candidates in messages
+ * @param {string} side - The group the lists belong to ('A', 'B' or 'R')
+ * @returns {Array} Error diagnostics
+ */
+function checkLists(preferences, candidatesOf, groupName, side) {
+    const errors = [];
+    
+    Object.entries(preferences).forEach(([id, list]) => {
+        const at = { person: id, side };
+        if (!Array.isArray(list)) {
+            errors.push(diagnose('invalid-list', `${id}'s preference list is missing or not an array`, at));
+            return;
+        }
+        
+        const candidates = candidatesOf(id);
+        const seen = new Set();
+        list.forEach(entry => {
+            if (Array.isArray(entry) && entry.length === 0) {
+                errors.push(diagnose('empty-tie', `${id}'s list has an empty tie group`, at));
+            }
+            
+            (Array.isArray(entry) ? entry : [entry]).forEach(other => {
+                if (typeof other !== 'string') {
+                    errors.push(diagnose('invalid-entry', `${id}'s list contains ${JSON.stringify(other)}, which is not a participant ID`, at));
+                } else if (seen.has(other)) {
+                    errors.push(diagnose('duplicate-entry', `${id} lists ${other} more than once`, { ...at, other }));
+                } else if (other === id) {
+                    errors.push(diagnose('self-ranking', `${id} ranks themselves`, at));
+                } else if (!candidates.has(other)) {
+                    errors.push(diagnose('unknown-id', `${id} ranks ${other}, who is not in ${groupName}`, { ...at, other }));
+                }
+                seen.add(other);
+            });
+        });
+    });
+    
+    return errors;
+}
+
+/**
+ * Find the warnings for a valid two-sided instance: groups too unequal for
+ * everyone to be matched, and empty lists
+ * @param {Object} prefsA - Preferences for group A members
+ * @param {Object} prefsB - Preferences for group B members
+ * @param {Object|null} capacities - Places per group B member, if any
+ * @returns {Array} Warning diagnostics
+ */
+function warnGroups(prefsA, prefsB, capacities) {
+    const warnings = [];
+    const sizeA = Object.keys(prefsA).length;
+    const sizeB = Object.keys(prefsB).length;
+    
+    if (capacities) {
+        const places = Object.values(capacities).reduce((sum, count) => sum + count, 0);
+        if (places < sizeA) {
+            warnings.push(diagnose('unequal-groups', `Group B offers ${places} ${places === 1 ? 'place' : 'places'} for ${sizeA} group A participants, so at least ${sizeA - places} will stay unmatched`));
+        }
+    } else if (sizeA !== sizeB) {
+        warnings.push(diagnose('unequal-groups', `Group A has ${sizeA} participants and group B has ${sizeB}, so at least ${Math.abs(sizeA - sizeB)} will stay unmatched`));
+    }
+    
+    warnings.push(...warnEmptyLists(prefsA, 'A'));
+    warnings.push(...warnEmptyLists(prefsB, 'B'));
+    return warnings;
+}
+
+/**
+ * Find the warnings for a valid single pool: an odd number of
+ * participants, and empty lists
+ * @param {Object} preferences - Preferences for every member of the pool
+ * @returns {Array} Warning diagnostics
+ */
+function warnPool(preferences) {
+    const warnings = [];
+    if (Object.keys(preferences).length % 2 === 1) {
+        warnings.push(diagnose('odd-pool', 'The pool has an odd number of participants, so someone will stay unmatched'));
+    }
+    warnings.push(...warnEmptyLists(preferences, 'R'));
+    return warnings;
+}
+
+/**
+ * Warn about everyone who finds nobody acceptable
+ * @param {Object} preferences - Preference lists to check
+ * @param {string} side - The group the lists belong to ('A', 'B' or 'R')
+ * @returns {Array} Warning diagnostics
+ */
+function warnEmptyLists(preferences, side) {
+    return Object.keys(preferences)
+        .filter(id => preferences[id].length === 0)
+        .map(id => diagnose('empty-list', `${id} finds nobody acceptable and will stay unmatched`, { person: id, side }));
+}
+
+/**
+ * Build a diagnostic, its severity following from the code
+ * @param {string} code - Machine-readable problem code
+ * @param {string} message - Human-readable description
+ * @param {Object} where - Optional {person, side, other}
+ * @returns {Object} The diagnostic
+ */
+function diagnose(code, message, where = {}) {
+    return {
+        code,
+        severity: WARNING_CODES.has(code) ? 'warning' : 'error',
+        message,
+        person: where.person || null,
+        side: where.side || null,
+        other: where.other || null
+    };
+}
+
+/**
+ * Read one rank matrix block into preference lists
+ * @param {Array} block - Rows of trimmed cells with their line numbers
+ * @param {string} name - How to name the matrix in messages
+ * @param {Array} errors - Problems found are appended here
+ * @returns {Object} Object with the row IDs, column IDs, preferences and
+ *     capacities (null without a capacity column)
+ */
+function readRankMatrix(block, name, errors) {
+    const [header, ...body] = block;
+    let columns = header.cells.slice(1);
+    const hasCapacity = columns.length > 0 && columns[columns.length - 1].toLowerCase() === 'capacity';
+    if (hasCapacity) {
+        columns = columns.slice(0, -1);
+    }
+    
+    columns.forEach((id, index) => {
+        if (id === '') errors.push(`Column ${index + 2} of ${name} has no participant ID (line ${header.line})`);
+        if (columns.indexOf(id) !== index) errors.push(`${id} appears more than once in the header of ${name}`);
+    });
+    
+    const rows = [];
+    const preferences = {};
+    const capacities = hasCapacity ? {} : null;
+    
+    body.forEach(({ cells, line }) => {
+        const [id, ...values] = cells;
+        if (!id) {
+            errors.push(`Line ${line} of ${name} has no participant ID`);
+            return;
+        }
+        if (rows.includes(id)) {
+            errors.push(`${id} has more than one row in ${name}`);
+            return;
+        }
+        rows.push(id);
+        
+        // Collect ranked entries, then group equal ranks into ties
+        const ranked = [];
+        columns.forEach((other, index) => {
+            const value = values[index] || '';
+            if (value === '') return;
+            const rank = Number(value);
+            if (!Number.isInteger(rank) || rank < 1) {
+                errors.push(`Rank "${value}" given by ${id} to ${other} (line ${line}) is not a positive whole number`);
+                return;
+            }
+            ranked.push({ other, rank });
+        });
+        ranked.sort((x, y) => x.rank - y.rank);
+        
+        const list = [];
+        ranked.forEach(({ other, rank }, index) => {
+            if (index > 0 && ranked[index - 1].rank === rank) {
+                const last = list[list.length - 1];
+                list[list.length - 1] = Array.isArray(last) ? [...last, other] : [last, other];
+            } else {
+                list.push(other);
+            }
+        });
+        preferences[id] = list;
+        
+        if (hasCapacity) {
+            const value = values[columns.length] || '';
+            const capacity = Number(value);
+            capacities[id] = value === '' ? undefined : Number.isNaN(capacity) ? value : capacity;
+        }
+    });
+    
+    return { rows, columns, preferences, capacities };
+}
+
+/**
+ * Map each entry of a preference list to its 1-based rank; tied entries
+ * share a rank
+ * @param {Array} list - Preference list, possibly with tie groups
+ * @returns {Map} Rank per listed ID
+ */
+function rankLookup(list) {
+    const ranks = new Map();
+    list.forEach((entry, index) => {
+        (Array.isArray(entry) ? entry : [entry]).forEach(id => ranks.set(id, index + 1));
+    });
+    return ranks;
+}
+
+/**
+ * Split CSV text into rows of cells, honouring quoted cells that contain
+ * commas, quotes or line breaks
+ * @param {string} text - CSV text
+ * @returns {Array} Rows of cell strings
+ */
+function parseCSVRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Quote a CSV cell if it contains a comma, quote or line break
+ * @param {string} value - Cell text
+ * @returns {string} The cell as written to CSV
+ */
+function toCSVCell(value) {
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Check for a non-array object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Throw an error listing every problem found, if any
+ * @param {Array} errors - Human-readable problems
+ * @param {Array} diagnostics - Optional diagnostics for the same problems,
+ *     kept on the error's diagnostics property
+ */
+function throwIfInvalid(errors, diagnostics) {
+    if (errors.length === 0) return;
+    
+    const message = errors.length === 1
+        ? errors[0]
+        : `${errors.length} problems found:\n- ${errors.join('\n- ')}`;
+    const error = new Error(message);
+    error.errors = errors;
+    if (diagnostics) error.diagnostics = diagnostics;
+    throw error;
+}
+
+/**
+ * Throw an error listing every error validateInstance finds, if any
+ * @param {Object} instance - The instance to check
+ */
+function throwIfInvalidInstance(instance) {
+    const errors = validateInstance(instance).filter(diagnostic => diagnostic.severity === 'error');
+    throwIfInvalid(errors.map(diagnostic => diagnostic.message), errors);
+}
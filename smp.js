@@ -7,152 +7,1619 @@
  */
 
 /**
- * Generate participant IDs for both groups
- * @param {number} n - Number of participants per group
+ * Generate participant IDs for both groups. Names given for a position are
+ * kept; everyone else is numbered, A1, A2, ... and B1, B2, ..., skipping
+ * any number a kept name already uses.
+ * @param {number} nA - Number of participants in group A
+ * @param {number} nB - Number of participants in group B (defaults to nA)
+ * @param {Object} names - Optional {groupA, groupB} names to keep, by position
  * @returns {Object} Object with arrays groupA and groupB containing participant IDs
  */
-export function generateParticipants(n) {
-    const groupA = Array.from({ length: n }, (_, i) => `A${i + 1}`);
-    const groupB = Array.from({ length: n }, (_, i) => `B${i + 1}`);
-    return { groupA, groupB };
+export function generateParticipants(nA, nB = nA, names = {}) {
+    const keptA = (names.groupA || []).slice(0, nA);
+    const keptB = (names.groupB || []).slice(0, nB);
+    const taken = new Set([...keptA, ...keptB]);
+    return {
+        groupA: nameParticipants(nA, 'A', keptA, taken),
+        groupB: nameParticipants(nB, 'B', keptB, taken)
+    };
+}
+
+/**
+ * Name the members of a group, keeping given names and numbering the rest
+ * @param {number} n - Number of participants
+ * @param {string} prefix - Prefix for numbered IDs
+ * @param {Array} kept - Names to keep, by position
+ * @param {Set} taken - Names in use, updated with every number handed out
+ * @returns {Array} Participant IDs
+ */
+function nameParticipants(n, prefix, kept, taken) {
+    return Array.from({ length: n }, (_, i) => {
+        if (kept[i]) return kept[i];
+        let number = i + 1;
+        while (taken.has(`${prefix}${number}`)) number++;
+        taken.add(`${prefix}${number}`);
+        return `${prefix}${number}`;
+    });
+}
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32), so that
+ * generated instances can be reproduced from their seed
+ * @param {number|string} seed - Whole number, or any text to hash into one
+ * @returns {Function} Function returning numbers in [0, 1), like Math.random
+ */
+export function createRandom(seed) {
+    let state = /^\d+$/.test(String(seed)) ? Number(seed) >>> 0 : hashSeed(String(seed));
+    
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Hash text into a 32-bit seed (FNV-1a)
+ * @param {string} text - Seed text
+ * @returns {number} Unsigned 32-bit seed
+ */
+function hashSeed(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Pick a fresh seed for a new random instance
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Shuffle a copy of an array uniformly (Fisher-Yates)
+ * @param {Array} items - Items to shuffle
+ * @param {Function} random - Random number generator returning [0, 1)
+ * @returns {Array} Shuffled copy
+ */
+export function shuffle(items, random = Math.random) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+// Preference models offered by the generators, with their tuning options:
+// uniform - independent uniformly random lists
+// master - shared quality per person plus private noise (options.noise, 0-1)
+// mallows - Mallows samples around a shared reference ranking
+//     (options.dispersion, 0 copies the reference and 1 is uniform)
+// euclidean - everyone has a position in the unit square and prefers
+//     whoever is closest
+// attributes - everyone has random attributes and weights, and ranks by the
+//     weighted sum (options.dimensions attributes)
+export const PREFERENCE_MODELS = ['uniform', 'master', 'mallows', 'euclidean', 'attributes'];
+
+/**
+ * Generate random preferences for all participants
+ *
+ * A preference list is an array whose entries are either a single ID or an
+ * array of IDs the owner considers equally good (a tie).
+ * @param {Array} groupA - Array of group A participant IDs
+ * @param {Array} groupB - Array of group B participant IDs
+ * @param {Object} options - Generation options
+ * @param {number} options.tieProbability - Chance that an entry is tied with the one before it
+ * @param {string} options.model - One of PREFERENCE_MODELS (default 'uniform')
+ * @param {number} options.noise - Weight of private taste for the master model (default 0.3)
+ * @param {number} options.dispersion - Mallows dispersion (default 0.5)
+ * @param {number} options.dimensions - Number of attributes for the attributes model (default 3)
+ * @param {Function} options.random - Random number generator, e.g. from createRandom (default Math.random)
+ * @returns {Object} Object with prefsA and prefsB preference maps
+ */
+export function generateRandomPreferences(groupA, groupB, options = {}) {
+    const { tieProbability = 0, random = Math.random } = options;
+    const rank = createPreferenceModel(options);
+    const prefsA = {};
+    const prefsB = {};
+    
+    // Generate preferences for group A (each A member ranks all B members)
+    groupA.forEach(a => {
+        prefsA[a] = groupIntoTies(rank(a, groupB), tieProbability, random);
+    });
+    
+    // Generate preferences for group B (each B member ranks all A members)
+    groupB.forEach(b => {
+        prefsB[b] = groupIntoTies(rank(b, groupA), tieProbability, random);
+    });
+    
+    return { prefsA, prefsB };
+}
+
+/**
+ * Generate participant IDs for a single pool (Stable Roommates)
+ * @param {number} n - Number of participants in the pool
+ * @param {Array} names - Optional names to keep, by position; everyone
+ *     else is numbered P1, P2, ...
+ * @returns {Array} Participant IDs
+ */
+export function generateRoommates(n, names = []) {
+    const kept = names.slice(0, n);
+    return nameParticipants(n, 'P', kept, new Set(kept));
+}
+
+/**
+ * Rename a participant in a set of preference lists, both as a key and
+ * wherever they are ranked, keeping every order and tie
+ * @param {Object} preferences - Preference lists keyed by participant
+ * @param {string} from - Current ID
+ * @param {string} to - New ID, not yet in use
+ * @returns {Object} New preference lists, in the same key order
+ */
+export function renameParticipant(preferences, from, to) {
+    const rename = id => id === from ? to : id;
+    return Object.fromEntries(Object.entries(preferences).map(([person, list]) => [
+        rename(person),
+        list.map(entry => Array.isArray(entry) ? entry.map(rename) : rename(entry))
+    ]));
+}
+
+/**
+ * Generate random preferences for a single pool, where everyone ranks
+ * everyone else
+ * @param {Array} pool - Array of participant IDs
+ * @param {Object} options - Generation options (see generateRandomPreferences)
+ * @returns {Object} Preference map for the pool
+ */
+export function generateRandomRoommatePreferences(pool, options = {}) {
+    const { tieProbability = 0, random = Math.random } = options;
+    const rank = createPreferenceModel(options);
+    const prefs = {};
+    
+    pool.forEach(p => {
+        const others = pool.filter(q => q !== p);
+        prefs[p] = groupIntoTies(rank(p, others), tieProbability, random);
+    });
+    
+    return prefs;
+}
+
+/**
+ * Set up a preference model. Per-person traits (quality, position,
+ * attributes) are drawn the first time someone is seen and shared by
+ * everyone who ranks them, which is what correlates the lists.
+ * @param {Object} options - Generation options (see generateRandomPreferences)
+ * @returns {Function} rank(ranker, candidates) returning a strict ordering
+ */
+function createPreferenceModel(options) {
+    const {
+        model = 'uniform',
+        noise = 0.3,
+        dispersion = 0.5,
+        dimensions = 3,
+        random = Math.random
+    } = options;
+    const traits = new Map();
+    const traitOf = (id, draw) => {
+        if (!traits.has(id)) traits.set(id, draw());
+        return traits.get(id);
+    };
+    const byScore = (candidates, score) => {
+        const scores = new Map(candidates.map(c => [c, score(c)]));
+        return [...candidates].sort((x, y) => scores.get(y) - scores.get(x));
+    };
+    
+    switch (model) {
+        case 'uniform':
+            return (ranker, candidates) => shuffle(candidates, random);
+        case 'master':
+            return (ranker, candidates) => byScore(candidates, c =>
+                (1 - noise) * traitOf(c, random) + noise * random());
+        case 'mallows':
+            return (ranker, candidates) => sampleMallows(
+                byScore(candidates, c => traitOf(c, random)),
+                dispersion,
+                random
+            );
+        case 'euclidean': {
+            const position = id => traitOf(id, () => [random(), random()]);
+            return (ranker, candidates) => {
+                const [x, y] = position(ranker);
+                return byScore(candidates, c => {
+                    const [cx, cy] = position(c);
+                    return -Math.hypot(cx - x, cy - y);
+                });
+            };
+        }
+        case 'attributes': {
+            const profile = id => traitOf(id, () => ({
+                attributes: Array.from({ length: dimensions }, random),
+                weights: Array.from({ length: dimensions }, random)
+            }));
+            return (ranker, candidates) => {
+                const { weights } = profile(ranker);
+                return byScore(candidates, c => profile(c).attributes
+                    .reduce((sum, value, i) => sum + weights[i] * value, 0));
+            };
+        }
+        default:
+            throw new Error(`Unknown preference model "${model}"`);
+    }
+}
+
+/**
+ * Sample a ranking from the Mallows model with the repeated insertion method:
+ * the i-th reference item is inserted j places above the bottom with
+ * probability proportional to dispersion^j
+ * @param {Array} reference - Central ranking
+ * @param {number} dispersion - 0 returns the reference, 1 is uniform
+ * @param {Function} random - Random number generator returning [0, 1)
+ * @returns {Array} Sampled ranking
+ */
+function sampleMallows(reference, dispersion, random) {
+    const ranking = [];
+    reference.forEach((item, i) => {
+        // Weights for 0..i places above the bottom of the current ranking
+        const weights = Array.from({ length: i + 1 }, (_, j) => dispersion ** j);
+        let target = random() * weights.reduce((sum, w) => sum + w, 0);
+        let shift = 0;
+        while (shift < i && target >= weights[shift]) {
+            target -= weights[shift];
+            shift++;
+        }
+        ranking.splice(ranking.length - shift, 0, item);
+    });
+    return ranking;
+}
+
+/**
+ * Randomly merge neighbouring entries of a strict ordering into ties
+ * @param {Array} order - Strict ordering of IDs
+ * @param {number} tieProbability - Chance that an entry joins the previous tie
+ * @param {Function} random - Random number generator returning [0, 1)
+ * @returns {Array} Preference list with ties as nested arrays
+ */
+function groupIntoTies(order, tieProbability, random = Math.random) {
+    if (tieProbability <= 0) return order;
+    
+    const groups = [];
+    order.forEach((id, index) => {
+        if (index > 0 && random() < tieProbability) {
+            groups[groups.length - 1].push(id);
+        } else {
+            groups.push([id]);
+        }
+    });
+    return groups.map(group => group.length === 1 ? group[0] : group);
+}
+
+/**
+ * Flatten a preference list, dropping tie grouping
+ * @param {Array} list - Preference list possibly containing ties
+ * @returns {Array} Every listed ID in order
+ */
+export function flattenPreferences(list) {
+    return list.flat();
+}
+
+/**
+ * Check whether any preference list contains a tie
+ * @param {Object} preferences - The preferences object
+ * @returns {boolean} True if some entry groups two or more IDs
+ */
+export function hasTies(preferences) {
+    return Object.values(preferences).some(list =>
+        list.some(entry => Array.isArray(entry) && entry.length > 1)
+    );
+}
+
+/**
+ * Break every tie in listed order, giving strict preference lists
+ * @param {Object} preferences - The preferences object
+ * @returns {Object} New preferences object with strict lists
+ */
+export function breakTies(preferences) {
+    const strict = {};
+    Object.keys(preferences).forEach(person => {
+        strict[person] = flattenPreferences(preferences[person]);
+    });
+    return strict;
+}
+
+/**
+ * Move a partner to a rank of their own in a preference list, or drop them
+ * from it, keeping every other entry and tie in order
+ * @param {Array} list - Preference list possibly containing ties
+ * @param {string} partner - The ID to move
+ * @param {number|null} rank - 1-based rank to move them to (past the end
+ *     means last), or null to make them unacceptable
+ * @returns {Array} New preference list
+ */
+export function moveToRank(list, partner, rank) {
+    const rest = list
+        .map(entry => Array.isArray(entry) ? entry.filter(other => other !== partner) : entry)
+        .filter(entry => entry !== partner && !(Array.isArray(entry) && entry.length === 0))
+        .map(entry => Array.isArray(entry) && entry.length === 1 ? entry[0] : entry);
+    if (rank === null) return rest;
+    
+    const index = Math.min(Math.max(rank, 1), rest.length + 1) - 1;
+    return [...rest.slice(0, index), partner, ...rest.slice(index)];
+}
+
+/**
+ * Index one group's preference lists for constant-time lookups
+ *
+ * Participants become integers (their position in key order) and each
+ * list is stored in typed arrays, so the O(n²) cost of building the table
+ * is paid once instead of scanning a list for every comparison. IDs that
+ * are not in the other group, and repeats, are ignored.
+ * @param {Object} preferences - Preference lists of one group
+ * @param {Array} others - IDs of the group being ranked
+ * @returns {Object} Rank table with the people ranking, an index from
+ *     their IDs to integers, lists (each list in listed order as indices
+ *     into others, ties broken), places (flat, [person * others.length +
+ *     other] gives other's place in the list or -1 if unacceptable) and
+ *     ranks (per person, the tie rank at each place)
+ */
+function buildRankTable(preferences, others) {
+    const people = Object.keys(preferences);
+    const otherIndex = Object.create(null);
+    others.forEach((id, i) => {
+        otherIndex[id] = i;
+    });
+    const Table = others.length < 32767 ? Int16Array : Int32Array;
+    const places = new Table(people.length * others.length).fill(-1);
+    
+    const lists = [];
+    const ranks = [];
+    
+    people.forEach((person, p) => {
+        const offset = p * others.length;
+        const list = preferences[person];
+        const order = new Table(list.reduce((count, entry) => count + (Array.isArray(entry) ? entry.length : 1), 0));
+        const rankAt = new Table(order.length);
+        let length = 0;
+        
+        const place = (id, rank) => {
+            const other = otherIndex[id];
+            if (other === undefined || places[offset + other] !== -1) return;
+            places[offset + other] = length;
+            order[length] = other;
+            rankAt[length] = rank;
+            length++;
+        };
+        for (let rank = 0; rank < list.length; rank++) {
+            const entry = list[rank];
+            if (Array.isArray(entry)) {
+                entry.forEach(id => place(id, rank));
+            } else {
+                place(entry, rank);
+            }
+        }
+        
+        lists.push(order.subarray(0, length));
+        ranks.push(rankAt.subarray(0, length));
+    });
+    
+    return {
+        people,
+        index: new Map(people.map((id, i) => [id, i])),
+        width: others.length,
+        lists,
+        places,
+        ranks
+    };
+}
+
+/**
+ * Look up a tie rank in a rank table
+ * @param {Object} table - Rank table from buildRankTable
+ * @param {number} person - Index of the person ranking
+ * @param {number} other - Index of the person ranked
+ * @returns {number} The 0-based rank (tied partners share a rank), or -1
+ *     if other is unacceptable
+ */
+function rankIn(table, person, other) {
+    const place = table.places[person * table.width + other];
+    return place === -1 ? -1 : table.ranks[person][place];
+}
+
+/**
+ * Get the rank/preference index of partner for a given person
+ * @param {string} person - The person whose preferences to check
+ * @param {string} partner - The partner to find the rank for
+ * @param {Object} preferences - The preferences object
+ * @returns {number} The rank (0-based index) of the partner in person's preference list;
+ *     tied partners share a rank
+ */
+function getRank(person, partner, preferences) {
+    const prefs = preferences[person];
+    if (!prefs) return -1;
+    return prefs.findIndex(entry =>
+        Array.isArray(entry) ? entry.includes(partner) : entry === partner
+    );
+}
+
+/**
+ * Check if partner appears on person's (possibly truncated) preference list
+ * @param {string} person - The person whose preferences to check
+ * @param {string} partner - The potential partner
+ * @param {Object} preferences - The preferences object
+ * @returns {boolean} True if person finds partner acceptable
+ */
+function isAcceptable(person, partner, preferences) {
+    return getRank(person, partner, preferences) !== -1;
+}
+
+/**
+ * Check if two people from opposite groups both find each other acceptable
+ * @param {string} a - Group A member
+ * @param {string} b - Group B member
+ * @param {Object} prefsA - Preferences for group A members
+ * @param {Object} prefsB - Preferences for group B members
+ * @returns {boolean} True if a and b are mutually acceptable
+ */
+export function isMutuallyAcceptable(a, b, prefsA, prefsB) {
+    return isAcceptable(a, b, prefsA) && isAcceptable(b, a, prefsB);
+}
+
+/**
+ * Check if person prefers newPartner over currentPartner
+ * @param {string} person - The person making the comparison
+ * @param {string} newPartner - The new potential partner
+ * @param {string} currentPartner - The current partner
+ * @param {Object} preferences - The preferences object
+ * @returns {boolean} True if person prefers newPartner over currentPartner
+ */
+function prefers(person, newPartner, currentPartner, preferences) {
+    const rankNew = getRank(person, newPartner, preferences);
+    const rankCurrent = getRank(person, currentPartner, preferences);
+    return rankNew !== -1 && rankCurrent !== -1 && rankNew < rankCurrent;
+}
+
+/**
+ * List everyone a person is matched with. In a many-to-one matching a
+ * group B member maps to an array of group A members; otherwise each
+ * person maps to at most one partner.
+ * @param {Object} matching - Current matching (bidirectional mapping)
+ * @param {string} person - The person to look up
+ * @returns {Array} The person's partners (empty if single)
+ */
+export function partnersOf(matching, person) {
+    const partner = matching[person];
+    if (!partner) return [];
+    return Array.isArray(partner) ? partner : [partner];
+}
+
+/**
+ * Run the Gale-Shapley algorithm
+ *
+ * Preference lists may be incomplete: anyone missing from a list is
+ * unacceptable to its owner, and participants who run out of acceptable
+ * partners stay single. Ties are broken in listed order, so the result is
+ * weakly stable with respect to the original lists. Group A proposing gives
+ * the A-optimal stable matching, group B proposing the B-optimal one.
+ *
+ * With options.recordEvents, the result also lists every step in order:
+ * 'propose', 'reject' (with reason 'unacceptable' or 'holds-better' and
+ * the partner held), 'dump' (the receiver drops their partner for a better
+ * proposer) and 'accept' (tentative until the algorithm ends). Each event
+ * names its proposer and receiver.
+ * @param {Object} prefsA - Preferences for group A members
+ * @param {Object} prefsB - Preferences for group B members
+ * @param {string} proposerSide - Which side proposes ('A' or 'B')
+ * @param {Object} options - Optional settings ({recordEvents})
+ * @returns {Object} Object containing matching, proposal counts (keyed by
+ *     the proposing side) and, if recorded, the events
+ */
+export function runGaleShapley(prefsA, prefsB, proposerSide = 'A', options = {}) {
+    // The matching maps both ways, so B proposing is A proposing mirrored
+    if (proposerSide === 'B') {
+        return runGaleShapley(prefsB, prefsA, 'A', options);
+    }
+    
+    const tableA = buildRankTable(prefsA, Object.keys(prefsB));
+    const tableB = buildRankTable(prefsB, tableA.people);
+    const groupA = tableA.people;
+    const groupB = tableB.people;
+    const nA = groupA.length;
+    
+    // Initialize data structures
+    const next = new Int32Array(nA); // Place on each A list to propose to next
+    const held = new Int32Array(groupB.length).fill(-1); // A member each B holds
+    const events = options.recordEvents ? [] : null;
+    const record = (type, a, b, details) => {
+        if (events) events.push({ type, proposer: groupA[a], receiver: groupB[b], ...details });
+    };
+    
+    // Free A members wait in a ring buffer, first come first served
+    const free = Int32Array.from(groupA.keys());
+    let head = 0;
+    let freeCount = nA;
+    
+    // Main algorithm loop
+    while (freeCount > 0) {
+        // The A member at the head keeps proposing until accepted
+        const a = free[head];
+        const list = tableA.lists[a];
+        
+        // Check if A has exhausted all acceptable partners
+        if (next[a] >= list.length) {
+            head = (head + 1) % nA;
+            freeCount--;
+            continue;
+        }
+        
+        // Get A's next preferred B member
+        const b = list[next[a]++];
+        record('propose', a, b);
+        
+        // B rejects outright anyone missing from their list
+        const place = tableB.places[b * nA + a];
+        if (place === -1) {
+            record('reject', a, b, { reason: 'unacceptable' });
+            continue;
+        }
+        
+        const current = held[b];
+        if (current !== -1 && tableB.places[b * nA + current] < place) {
+            // If B doesn't prefer A, A remains free and will try next preference
+            record('reject', a, b, { reason: 'holds-better', held: groupA[current] });
+            continue;
+        }
+        
+        // B is free or prefers A; a dumped partner rejoins the free queue
+        head = (head + 1) % nA;
+        freeCount--;
+        if (current !== -1) {
+            record('dump', current, b);
+            free[(head + freeCount) % nA] = current;
+            freeCount++;
+        }
+        held[b] = a;
+        record('accept', a, b);
+    }
+    
+    const matching = {}; // A->B and B->A mappings
+    const proposalCounts = {}; // How many proposals each A member made
+    groupA.forEach((a, i) => {
+        proposalCounts[a] = next[i];
+    });
+    held.forEach((a, b) => {
+        if (a === -1) return;
+        matching[groupA[a]] = groupB[b];
+        matching[groupB[b]] = groupA[a];
+    });
+    
+    return events ? { matching, proposalCounts, events } : { matching, proposalCounts };
+}
+
+/**
+ * Run capacitated deferred acceptance (Hospitals/Residents)
+ *
+ * Group A members (residents) are each assigned to at most one group B
+ * member (hospital), and hospital b takes up to capacities[b] residents.
+ * Either side can propose: resident-proposing gives the resident-optimal
+ * stable matching, hospital-proposing the hospital-optimal one. Ties are
+ * broken in listed order.
+ * @param {Object} prefsA - Preferences for group A members (residents)
+ * @param {Object} prefsB - Preferences for group B members (hospitals)
+ * @param {Object} capacities - Number of places per group B member
+ * @param {string} proposerSide - Which side proposes ('A' or 'B')
+ * @returns {Object} Object containing matching (b maps to an array of
+ *     residents in b's preference order) and proposal counts
+ */
+export function runHospitalsResidents(prefsA, prefsB, capacities, proposerSide = 'A') {
+    const tableA = buildRankTable(prefsA, Object.keys(prefsB));
+    const tableB = buildRankTable(prefsB, tableA.people);
+    const groupA = tableA.people;
+    const groupB = tableB.people;
+    const nA = groupA.length;
+    const nB = groupB.length;
+    const capacityOf = groupB.map(b => capacities[b]);
+    
+    const hospitalOf = new Int32Array(nA).fill(-1); // Hospital each resident holds
+    const filled = new Int32Array(nB); // Places taken at each hospital
+    const next = new Int32Array(proposerSide === 'A' ? nA : nB); // Next place to propose to
+    
+    if (proposerSide === 'A') {
+        // A full hospital only ever trades up, so the search for its worst
+        // resident can resume where it last stopped
+        const worstPlace = Int32Array.from(tableB.lists, list => list.length - 1);
+        const free = Array.from(groupA.keys()).reverse();
+        
+        while (free.length > 0) {
+            const a = free[free.length - 1];
+            const list = tableA.lists[a];
+            
+            // Check if the resident has exhausted all acceptable hospitals
+            if (next[a] >= list.length) {
+                free.pop();
+                continue;
+            }
+            
+            const b = list[next[a]++];
+            const place = tableB.places[b * nA + a];
+            if (place === -1) continue;
+            
+            // A hospital with a free place accepts; a full one swaps out its
+            // worst resident if it prefers the newcomer
+            if (filled[b] < capacityOf[b]) {
+                hospitalOf[a] = b;
+                filled[b]++;
+                free.pop();
+            } else if (filled[b] > 0) {
+                const order = tableB.lists[b];
+                while (hospitalOf[order[worstPlace[b]]] !== b) worstPlace[b]--;
+                if (place < worstPlace[b]) {
+                    const worst = order[worstPlace[b]];
+                    hospitalOf[worst] = -1;
+                    hospitalOf[a] = b;
+                    free[free.length - 1] = worst;
+                }
+            }
+        }
+    } else {
+        const open = Array.from(groupB.keys()).reverse();
+        const isOpen = new Uint8Array(nB).fill(1);
+        
+        while (open.length > 0) {
+            const b = open[open.length - 1];
+            const list = tableB.lists[b];
+            
+            // Stop once the hospital is full or has run out of residents
+            if (filled[b] >= capacityOf[b] || next[b] >= list.length) {
+                open.pop();
+                isOpen[b] = 0;
+                continue;
+            }
+            
+            const a = list[next[b]++];
+            const place = tableA.places[a * nB + b];
+            if (place === -1) continue;
+            
+            // The resident trades up, freeing a place at their old hospital
+            const current = hospitalOf[a];
+            if (current === -1 || place < tableA.places[a * nB + current]) {
+                if (current !== -1) {
+                    filled[current]--;
+                    if (!isOpen[current]) {
+                        open.push(current);
+                        isOpen[current] = 1;
+                    }
+                }
+                hospitalOf[a] = b;
+                filled[b]++;
+            }
+        }
+    }
+    
+    const matching = {};
+    const proposalCounts = {};
+    (proposerSide === 'A' ? groupA : groupB).forEach((p, i) => {
+        proposalCounts[p] = next[i];
+    });
+    hospitalOf.forEach((b, a) => {
+        if (b !== -1) matching[groupA[a]] = groupB[b];
+    });
+    
+    // Record each hospital's residents in its own preference order
+    tableB.lists.forEach((order, b) => {
+        const residents = [];
+        order.forEach(a => {
+            if (hospitalOf[a] === b) residents.push(groupA[a]);
+        });
+        if (residents.length > 0) matching[groupB[b]] = residents;
+    });
+    
+    return { matching, proposalCounts };
+}
+
+/**
+ * Stability notions for preferences with ties, weakest first. A pair's
+ * blocking kind is the weakest notion it violates; a matching is stable
+ * under a notion if no pair of that kind or a weaker one exists.
+ *   weak   - both strictly prefer each other
+ *   strong - one strictly prefers, the other is indifferent
+ *   super  - both are indifferent
+ */
+export const STABILITY_NOTIONS = ['weak', 'strong', 'super'];
+
+/**
+ * Find all blocking pairs in the current matching
+ *
+ * A pair blocks only if both find each other acceptable and each is either
+ * single or at least as happy with the other as with their current partner
+ * (how many must strictly prefer depends on the stability notion). With
+ * capacities, a group B member with a free place counts as single and a
+ * full one compares against their worst assignee.
+ * @param {Object} matching - Current matching (bidirectional mapping)
+ * @param {Object} prefsA - Preferences for group A members
+ * @param {Object} prefsB - Preferences for group B members
+ * @param {string} stability - Stability notion to check ('weak', 'strong' or 'super')
+ * @param {Object|null} capacities - Places per group B member (null for one-to-one)
+ * @returns {Array} Array of blocking pairs, each tagged with its blocking kind
+ */
+export function findBlockingPairs(matching, prefsA, prefsB, stability = 'weak', capacities = null) {
+    const blockingPairs = [];
+    const tableA = buildRankTable(prefsA, Object.keys(prefsB));
+    const tableB = buildRankTable(prefsB, tableA.people);
+    const groupA = tableA.people;
+    const groupB = tableB.people;
+    const level = STABILITY_NOTIONS.indexOf(stability);
+    
+    // Each person's rank for their current situation: undefined when single
+    // (or, for B, when a place is free), otherwise the rank of their
+    // partner or worst assignee
+    const currentA = groupA.map((a, i) => {
+        const b = tableB.index.get(matching[a]);
+        return b === undefined ? undefined : rankIn(tableA, i, b);
+    });
+    const currentB = groupB.map((b, i) => {
+        const partners = partnersOf(matching, b);
+        const capacity = capacities ? capacities[b] : 1;
+        if (partners.length < capacity) return undefined;
+        return Math.max(...partners.map(a => rankIn(tableB, i, tableA.index.get(a))));
+    });
+    
+    // Check every possible A-B pair
+    const nA = groupA.length;
+    const nB = groupB.length;
+    for (let i = 0; i < nA; i++) {
+        const partner = tableB.index.get(matching[groupA[i]]);
+        
+        for (let j = 0; j < nB; j++) {
+            // Skip the current matching and pairs that are not mutually acceptable
+            const placeA = tableA.places[i * nB + j];
+            const placeB = tableB.places[j * nA + i];
+            if (j === partner || placeA === -1 || placeB === -1) continue;
+            
+            // Compare each side's view of the other with their current situation
+            const aView = compareRanks(tableA.ranks[i][placeA], currentA[i]);
+            const bView = compareRanks(tableB.ranks[j][placeB], currentB[j]);
+            if (aView < 0 || bView < 0) continue;
+            
+            // Two strict preferences block weakly, one blocks strongly, none super
+            const kind = STABILITY_NOTIONS[2 - aView - bView];
+            if (STABILITY_NOTIONS.indexOf(kind) <= level) {
+                blockingPairs.push({ a: groupA[i], b: groupB[j], kind });
+            }
+        }
+    }
+    
+    return blockingPairs;
+}
+
+/**
+ * Compare a candidate's rank with a person's current situation. Being
+ * single is worse than any acceptable partner but better than an
+ * unacceptable one.
+ * @param {number} candidate - Rank of the candidate (-1 if unacceptable)
+ * @param {number|undefined} current - Rank of the current partner
+ *     (undefined if single)
+ * @returns {number} 1 if the candidate is strictly better, 0 if they are
+ *     tied, -1 if the candidate is worse or unacceptable
+ */
+function compareRanks(candidate, current) {
+    if (candidate === -1) return -1;
+    if (current === undefined) return 1;
+    if (candidate === current) return 0;
+    return candidate < current ? 1 : -1;
+}
+
+/**
+ * Find a super-stable matching if one exists (Irving's algorithm, extended
+ * to incomplete lists by Manlove)
+ *
+ * Group A members propose to every partner in the tie at the head of their
+ * list at once. Receivers drop everyone ranked strictly below a proposer,
+ * and a receiver holding several proposals drops its whole tail tie.
+ * @param {Object} prefsA - Preferences for group A members
+ * @param {Object} prefsB - Preferences for group B members
+ * @returns {Object} Object with exists flag and the matching (null if none exists)
+ */
+export function findSuperStableMatching(prefsA, prefsB) {
+    const state = createEngagementState(prefsA, prefsB);
+    
+    while (true) {
+        runTieProposals(state);
+        
+        // Receivers engaged to more than one proposer reject their worst tie
+        const overloaded = state.groupB.filter(b => state.engagements[b].size > 1);
+        if (overloaded.length === 0) break;
+        overloaded.forEach(b => rejectTail(state, b));
+    }
+    
+    // Proposers engaged along a tie cannot be super-stably matched
+    if (state.groupA.some(a => state.engagements[a].size > 1)) {
+        return { exists: false, matching: null };
+    }
+    
+    const matching = {};
+    state.groupA.forEach(a => {
+        const [b] = state.engagements[a];
+        if (b) {
+            matching[a] = b;
+            matching[b] = a;
+        }
+    });
+    
+    return settleEngagements(state, matching);
+}
+
+/**
+ * Find a strongly stable matching if one exists (Irving's algorithm, extended
+ * to incomplete lists by Manlove)
+ *
+ * Proposals work as in the super-stable algorithm, but receivers only
+ * reject their tail tie when they belong to the neighbourhood of the
+ * critical set: proposers that cannot all be matched within the
+ * engagement graph.
+ * @param {Object} prefsA - Preferences for group A members
+ * @param {Object} prefsB - Preferences for group B members
+ * @returns {Object} Object with exists flag and the matching (null if none exists)
+ */
+export function findStronglyStableMatching(prefsA, prefsB) {
+    const state = createEngagementState(prefsA, prefsB);
+    let engagementMatching;
+    
+    while (true) {
+        runTieProposals(state);
+        
+        engagementMatching = maximumEngagementMatching(state);
+        const overDemanded = findOverDemandedReceivers(state, engagementMatching);
+        if (overDemanded.length === 0) break;
+        overDemanded.forEach(b => rejectTail(state, b));
+    }
+    
+    return settleEngagements(state, engagementMatching);
+}
+
+/**
+ * Build the mutable state shared by the tie-aware proposal algorithms
+ * @param {Object} prefsA - Preferences for group A members
+ * @param {Object} prefsB - Preferences for group B members
+ * @returns {Object} Reduced tie lists, engagement sets and bookkeeping
+ */
+function createEngagementState(prefsA, prefsB) {
+    const groupA = Object.keys(prefsA);
+    const groupB = Object.keys(prefsB);
+    
+    // Keep only mutually acceptable partners, with every entry as a tie group
+    const toTieLists = (own, other) => {
+        const lists = {};
+        Object.keys(own).forEach(person => {
+            lists[person] = own[person]
+                .map(entry => (Array.isArray(entry) ? entry : [entry])
+                    .filter(partner => isAcceptable(partner, person, other)))
+                .filter(group => group.length > 0);
+        });
+        return lists;
+    };
+    
+    const engagements = {};
+    groupA.concat(groupB).forEach(p => {
+        engagements[p] = new Set();
+    });
+    
+    return {
+        groupA,
+        groupB,
+        listsA: toTieLists(prefsA, prefsB),
+        listsB: toTieLists(prefsB, prefsA),
+        engagements,
+        everEngaged: new Set()
+    };
+}
+
+/**
+ * Let every free proposer propose to the whole tie at the head of their list
+ * @param {Object} state - Engagement state
+ */
+function runTieProposals(state) {
+    const { listsA, listsB, engagements } = state;
+    const isFree = a => engagements[a].size === 0 && listsA[a].length > 0;
+    const free = state.groupA.filter(isFree);
+    
+    while (free.length > 0) {
+        const a = free.pop();
+        if (!isFree(a)) continue;
+        
+        for (const b of [...listsA[a][0]]) {
+            engagements[a].add(b);
+            engagements[b].add(a);
+            state.everEngaged.add(b);
+            
+            // B will never accept anyone ranked strictly below A
+            const rank = listsB[b].findIndex(group => group.includes(a));
+            listsB[b].slice(rank + 1).flat().forEach(successor => {
+                deleteEngagementPair(state, successor, b);
+                if (isFree(successor)) free.push(successor);
+            });
+        }
+    }
+}
+
+/**
+ * Break all of b's engagements and delete the tie at the tail of b's list
+ * @param {Object} state - Engagement state
+ * @param {string} b - Group B member
+ */
+function rejectTail(state, b) {
+    [...state.engagements[b]].forEach(a => {
+        state.engagements[a].delete(b);
+        state.engagements[b].delete(a);
+    });
+    
+    const tail = state.listsB[b][state.listsB[b].length - 1];
+    [...tail].forEach(a => deleteEngagementPair(state, a, b));
+}
+
+/**
+ * Remove a pair from both reduced lists, breaking any engagement between them
+ * @param {Object} state - Engagement state
+ * @param {string} a - Group A member
+ * @param {string} b - Group B member
+ */
+function deleteEngagementPair(state, a, b) {
+    const removeFrom = (lists, person, partner) => {
+        lists[person] = lists[person]
+            .map(group => group.filter(p => p !== partner))
+            .filter(group => group.length > 0);
+    };
+    removeFrom(state.listsA, a, b);
+    removeFrom(state.listsB, b, a);
+    state.engagements[a].delete(b);
+    state.engagements[b].delete(a);
+}
+
+/**
+ * Find a maximum matching in the engagement graph (augmenting paths)
+ * @param {Object} state - Engagement state
+ * @returns {Object} Bidirectional mapping of matched engagements
+ */
+function maximumEngagementMatching(state) {
+    const matching = {};
+    
+    const augment = (a, visited) => {
+        for (const b of state.engagements[a]) {
+            if (visited.has(b)) continue;
+            visited.add(b);
+            if (!matching[b] || augment(matching[b], visited)) {
+                matching[a] = b;
+                matching[b] = a;
+                return true;
+            }
+        }
+        return false;
+    };
+    
+    state.groupA.forEach(a => augment(a, new Set()));
+    return matching;
+}
+
+/**
+ * Find receivers adjacent to the critical set of the engagement graph: the
+ * proposers reachable by alternating paths from an engaged proposer left
+ * unmatched by a maximum matching
+ * @param {Object} state - Engagement state
+ * @param {Object} matching - Maximum matching of the engagement graph
+ * @returns {Array} Group B members who must reject their tail tie
+ */
+function findOverDemandedReceivers(state, matching) {
+    const criticalA = state.groupA.filter(a => state.engagements[a].size > 0 && !matching[a]);
+    const reachedA = new Set(criticalA);
+    const reachedB = new Set();
+    
+    while (criticalA.length > 0) {
+        const a = criticalA.pop();
+        state.engagements[a].forEach(b => {
+            if (reachedB.has(b)) return;
+            reachedB.add(b);
+            const next = matching[b];
+            if (next && !reachedA.has(next)) {
+                reachedA.add(next);
+                criticalA.push(next);
+            }
+        });
+    }
+    
+    return [...reachedB];
+}
+
+/**
+ * Accept the final engagements as a matching unless a receiver who once
+ * held a proposal ended up single, in which case no matching of the
+ * required kind exists
+ * @param {Object} state - Engagement state
+ * @param {Object} matching - Candidate matching built from the engagements
+ * @returns {Object} Object with exists flag and the matching (null if none exists)
+ */
+function settleEngagements(state, matching) {
+    for (const b of state.everEngaged) {
+        if (!matching[b]) return { exists: false, matching: null };
+    }
+    return { exists: true, matching };
+}
+
+/**
+ * Enumerate every stable matching of a one-to-one instance
+ *
+ * Starts from the A-optimal matching found by Gale-Shapley and repeatedly
+ * eliminates exposed rotations, walking the lattice of stable matchings
+ * down to the B-optimal one. Each edge of the resulting Hasse diagram is
+ * the elimination of a single rotation. Ties are broken in listed order,
+ * as in Gale-Shapley, so the matchings are weakly stable.
+ * @param {Object} prefsA - Preferences for group A members
+ * @param {Object} prefsB - Preferences for group B members
+ * @param {number} limit - Maximum number of matchings to enumerate
+ * @returns {Object} Object with the stable matchings ({matching, level},
+ *     A-optimal first), the rotations, the Hasse diagram edges
+ *     ({from, to, rotation} as indices) and a truncated flag
+ */
+export function enumerateStableMatchings(prefsA, prefsB, limit = 200) {
+    const groupA = Object.keys(prefsA);
+    const strictA = breakTies(prefsA);
+    const strictB = breakTies(prefsB);
+    const keyOf = matching => groupA.map(a => matching[a] || '').join('|');
+    
+    const { matching: optimal } = runGaleShapley(strictA, strictB);
+    const matchings = [{ matching: optimal, level: 0 }];
+    const indexByKey = new Map([[keyOf(optimal), 0]]);
+    const rotations = [];
+    const rotationIndexByKey = new Map();
+    const edges = [];
+    let truncated = false;
+    
+    // Breadth-first, so every matching is reached first from its level above
+    for (let from = 0; from < matchings.length; from++) {
+        const { matching, level } = matchings[from];
+        
+        findExposedRotations(matching, groupA, strictA, strictB).forEach(rotation => {
+            const rotationKey = rotation.map(({ a, from: b }) => `${a}:${b}`).join(',');
+            if (!rotationIndexByKey.has(rotationKey)) {
+                rotationIndexByKey.set(rotationKey, rotations.length);
+                rotations.push(rotation);
+            }
+            
+            const next = eliminateRotation(matching, rotation);
+            const key = keyOf(next);
+            if (!indexByKey.has(key)) {
+                if (matchings.length >= limit) {
+                    truncated = true;
+                    return;
+                }
+                indexByKey.set(key, matchings.length);
+                matchings.push({ matching: next, level: level + 1 });
+            }
+            
+            edges.push({ from, to: indexByKey.get(key), rotation: rotationIndexByKey.get(rotationKey) });
+        });
+    }
+    
+    return { matchings, rotations, edges, truncated };
+}
+
+/**
+ * Find the rotations exposed in a stable matching. For each matched a, the
+ * next candidate is the first b after a's partner who prefers a to their
+ * own partner, unless a reaches a single b first; a rotation is a cycle of
+ * matched pairs in which every a's next candidate is the partner of the
+ * following a.
+ * @param {Object} matching - A stable matching (bidirectional mapping)
+ * @param {Array} groupA - Group A members
+ * @param {Object} strictA - Strict preferences for group A members
+ * @param {Object} strictB - Strict preferences for group B members
+ * @returns {Array} Rotations, each a list of {a, from, to} moves
+ */
+function findExposedRotations(matching, groupA, strictA, strictB) {
+    const candidate = {};
+    groupA.forEach(a => {
+        const partner = matching[a];
+        if (!partner) return;
+        
+        // A single b who accepts a marks the end of a's stable partners
+        const list = strictA[a];
+        for (let i = list.indexOf(partner) + 1; i < list.length; i++) {
+            const b = list[i];
+            if (!matching[b] && isAcceptable(b, a, strictB)) break;
+            if (matching[b] && prefers(b, a, matching[b], strictB)) {
+                candidate[a] = b;
+                break;
+            }
+        }
+    });
+    
+    // Follow a -> partner of a's candidate; cycles are the rotations
+    const rotations = [];
+    const state = {};
+    groupA.forEach(start => {
+        const path = [];
+        let a = start;
+        while (candidate[a] && !state[a]) {
+            state[a] = 'visiting';
+            path.push(a);
+            a = matching[candidate[a]];
+        }
+        
+        if (state[a] === 'visiting') {
+            const cycle = path.slice(path.indexOf(a));
+            rotations.push(cycle.map(x => ({ a: x, from: matching[x], to: candidate[x] })));
+        }
+        path.forEach(x => { state[x] = 'done'; });
+    });
+    
+    return rotations;
+}
+
+/**
+ * Move every group A member of a rotation on to their next candidate
+ * @param {Object} matching - Stable matching exposing the rotation
+ * @param {Array} rotation - List of {a, from, to} moves
+ * @returns {Object} The new matching (bidirectional mapping)
+ */
+function eliminateRotation(matching, rotation) {
+    const next = { ...matching };
+    rotation.forEach(({ a, to }) => {
+        next[a] = to;
+        next[to] = a;
+    });
+    return next;
+}
+
+/**
+ * Build the rotation poset of a one-to-one instance. Eliminating exposed
+ * rotations down any maximal chain from the A-optimal matching meets every
+ * rotation exactly once, in an order that respects the poset. Precedences
+ * follow Gusfield and Irving: the rotation that moves a onto b comes before
+ * the one that moves a away from b, and the rotation that lifts b above a
+ * comes before any rotation in which a skips past b.
+ * @param {Object} prefsA - Preferences for group A members
+ * @param {Object} prefsB - Preferences for group B members
+ * @returns {Object} Object with the A-optimal matching, the rotations in
+ *     elimination order and, per rotation, the indices it requires
+ */
+function buildRotationPoset(prefsA, prefsB) {
+    const groupA = Object.keys(prefsA);
+    const strictA = breakTies(prefsA);
+    const strictB = breakTies(prefsB);
+    const { matching: optimal } = runGaleShapley(strictA, strictB);
+    
+    // Walk one maximal chain down to the B-optimal matching
+    const rotations = [];
+    let matching = optimal;
+    let [rotation] = findExposedRotations(matching, groupA, strictA, strictB);
+    while (rotation) {
+        rotations.push(rotation);
+        matching = eliminateRotation(matching, rotation);
+        [rotation] = findExposedRotations(matching, groupA, strictA, strictB);
+    }
+    
+    // Record which rotation moves each a onto a partner, and which lifts
+    // each b past the people between their old and new partner
+    const movesOnto = new Map();
+    const liftsPast = new Map();
+    rotations.forEach((moves, index) => {
+        moves.forEach(({ a, to }, i) => {
+            movesOnto.set(`${a}:${to}`, index);
+            const previous = moves[(i + 1) % moves.length].a;
+            const list = strictB[to];
+            list.slice(list.indexOf(a) + 1, list.indexOf(previous))
+                .forEach(skipped => liftsPast.set(`${to}:${skipped}`, index));
+        });
+    });
+    
+    const requires = rotations.map((moves, index) => {
+        const needed = new Set();
+        moves.forEach(({ a, from, to }) => {
+            if (movesOnto.has(`${a}:${from}`)) {
+                needed.add(movesOnto.get(`${a}:${from}`));
+            }
+            const list = strictA[a];
+            list.slice(list.indexOf(from) + 1, list.indexOf(to)).forEach(b => {
+                if (liftsPast.has(`${b}:${a}`)) {
+                    needed.add(liftsPast.get(`${b}:${a}`));
+                }
+            });
+        });
+        needed.delete(index);
+        return [...needed];
+    });
+    
+    return { optimal, rotations, requires };
+}
+
+/**
+ * Close a set of rotations under the poset, adding everything they require
+ * @param {Array} indices - Rotation indices to start from
+ * @param {Array} requires - Required rotation indices per rotation
+ * @returns {Set} The closed set of rotation indices
+ */
+function closeRotations(indices, requires) {
+    const closed = new Set();
+    const stack = [...indices];
+    while (stack.length > 0) {
+        const index = stack.pop();
+        if (closed.has(index)) continue;
+        closed.add(index);
+        stack.push(...requires[index]);
+    }
+    return closed;
+}
+
+/**
+ * Eliminate a closed set of rotations from the A-optimal matching
+ * @param {Object} optimal - The A-optimal matching
+ * @param {Array} rotations - Rotations in elimination order
+ * @param {Set} chosen - Closed set of rotation indices to eliminate
+ * @returns {Object} The resulting stable matching
+ */
+function eliminateRotations(optimal, rotations, chosen) {
+    return rotations.reduce((matching, rotation, index) =>
+        chosen.has(index) ? eliminateRotation(matching, rotation) : matching,
+    optimal);
+}
+
+/**
+ * Work out how eliminating a rotation changes each side's total rank
+ * @param {Array} rotation - List of {a, from, to} moves
+ * @param {Object} prefsA - Preferences for group A members
+ * @param {Object} prefsB - Preferences for group B members
+ * @returns {Object} Object with the change for group A and for group B
+ */
+function rotationCostChange(rotation, prefsA, prefsB) {
+    let changeA = 0;
+    let changeB = 0;
+    rotation.forEach(({ a, from, to }, i) => {
+        const previous = rotation[(i + 1) % rotation.length].a;
+        changeA += getRank(a, to, prefsA) - getRank(a, from, prefsA);
+        changeB += getRank(to, a, prefsB) - getRank(to, previous, prefsB);
+    });
+    return { changeA, changeB };
 }
 
 /**
- * Generate random preferences for all participants
- * @param {Array} groupA - Array of group A participant IDs
- * @param {Array} groupB - Array of group B participant IDs
- * @returns {Object} Object with prefsA and prefsB preference maps
+ * Sum the ranks each side gives its partners and find the worst rank anyone
+ * is matched at. Ranks are 1-based and single participants add nothing.
+ * @param {Object} matching - Current matching (bidirectional mapping)
+ * @param {Object} prefsA - Preferences for group A members
+ * @param {Object} prefsB - Preferences for group B members
+ * @returns {Object} Object with costA, costB and regret
  */
-export function generateRandomPreferences(groupA, groupB) {
-    const prefsA = {};
-    const prefsB = {};
+function computeRankCosts(matching, prefsA, prefsB) {
+    let costA = 0;
+    let costB = 0;
+    let regret = 0;
     
-    // Generate preferences for group A (each A member ranks all B members)
-    groupA.forEach(a => {
-        prefsA[a] = [...groupB].sort(() => Math.random() - 0.5);
+    Object.keys(prefsA).forEach(a => {
+        if (!matching[a]) return;
+        const rank = getRank(a, matching[a], prefsA) + 1;
+        costA += rank;
+        regret = Math.max(regret, rank);
     });
-    
-    // Generate preferences for group B (each B member ranks all A members)
-    groupB.forEach(b => {
-        prefsB[b] = [...groupA].sort(() => Math.random() - 0.5);
+    Object.keys(prefsB).forEach(b => {
+        partnersOf(matching, b).forEach(a => {
+            const rank = getRank(b, a, prefsB) + 1;
+            costB += rank;
+            regret = Math.max(regret, rank);
+        });
     });
     
-    return { prefsA, prefsB };
+    return { costA, costB, regret };
 }
 
 /**
- * Get the rank/preference index of partner for a given person
- * @param {string} person - The person whose preferences to check
- * @param {string} partner - The partner to find the rank for
- * @param {Object} preferences - The preferences object
- * @returns {number} The rank (0-based index) of the partner in person's preference list
+ * Find the egalitarian stable matching, which minimises the total rank
+ * both sides give their partners. Each rotation changes the total by a
+ * fixed amount, so this is a minimum-weight closed set of the rotation
+ * poset, found with a minimum cut (Irving, Leather and Gusfield).
+ * Ties are broken in listed order, as in Gale-Shapley.
+ * @param {Object} prefsA - Preferences for group A members
+ * @param {Object} prefsB - Preferences for group B members
+ * @returns {Object} Object with the matching and its egalitarian cost
  */
-function getRank(person, partner, preferences) {
-    const prefs = preferences[person];
-    if (!prefs) return -1;
-    return prefs.indexOf(partner);
+export function findEgalitarianStableMatching(prefsA, prefsB) {
+    const { optimal, rotations, requires } = buildRotationPoset(prefsA, prefsB);
+    const weights = rotations.map(rotation => {
+        const { changeA, changeB } = rotationCostChange(rotation, prefsA, prefsB);
+        return changeA + changeB;
+    });
+    
+    const matching = eliminateRotations(optimal, rotations, minimumWeightClosure(weights, requires));
+    const { costA, costB } = computeRankCosts(matching, prefsA, prefsB);
+    return { matching, egalitarianCost: costA + costB };
 }
 
 /**
- * Check if person prefers newPartner over currentPartner
- * @param {string} person - The person making the comparison
- * @param {string} newPartner - The new potential partner
- * @param {string} currentPartner - The current partner
- * @param {Object} preferences - The preferences object
- * @returns {boolean} True if person prefers newPartner over currentPartner
+ * Find a closed set of rotations with minimum total weight. Rotations that
+ * lower the cost hang off the source and those that raise it off the sink;
+ * requirements are uncuttable edges, so the source side of a minimum cut
+ * is the best closed set.
+ * @param {Array} weights - Cost change per rotation
+ * @param {Array} requires - Required rotation indices per rotation
+ * @returns {Set} The chosen rotation indices
  */
-function prefers(person, newPartner, currentPartner, preferences) {
-    const rankNew = getRank(person, newPartner, preferences);
-    const rankCurrent = getRank(person, currentPartner, preferences);
-    return rankNew !== -1 && rankCurrent !== -1 && rankNew < rankCurrent;
+function minimumWeightClosure(weights, requires) {
+    const size = weights.length + 2;
+    const source = size - 2;
+    const sink = size - 1;
+    const capacity = Array.from({ length: size }, () => new Array(size).fill(0));
+    
+    weights.forEach((weight, index) => {
+        if (weight < 0) capacity[source][index] = -weight;
+        if (weight > 0) capacity[index][sink] = weight;
+        requires[index].forEach(required => {
+            capacity[index][required] = Infinity;
+        });
+    });
+    
+    // Augment along shortest paths until the sink is cut off
+    const reachable = () => {
+        const parent = new Array(size).fill(-1);
+        parent[source] = source;
+        const queue = [source];
+        while (queue.length > 0) {
+            const node = queue.shift();
+            for (let next = 0; next < size; next++) {
+                if (parent[next] === -1 && capacity[node][next] > 0) {
+                    parent[next] = node;
+                    queue.push(next);
+                }
+            }
+        }
+        return parent;
+    };
+    
+    let parent = reachable();
+    while (parent[sink] !== -1) {
+        let flow = Infinity;
+        for (let node = sink; node !== source; node = parent[node]) {
+            flow = Math.min(flow, capacity[parent[node]][node]);
+        }
+        for (let node = sink; node !== source; node = parent[node]) {
+            capacity[parent[node]][node] -= flow;
+            capacity[node][parent[node]] += flow;
+        }
+        parent = reachable();
+    }
+    
+    return new Set(weights.map((_, index) => index).filter(index => parent[index] !== -1));
 }
 
 /**
- * Run the Gale-Shapley algorithm
+ * Find a minimum-regret stable matching, in which the worst rank anyone is
+ * matched at is as small as possible (Gusfield). For each bound, group B
+ * members ranked worse than it need the rotation that lifts them within
+ * it; the matching is feasible if the closure of those rotations moves no
+ * group A member past the bound. Ties are broken in listed order.
  * @param {Object} prefsA - Preferences for group A members
  * @param {Object} prefsB - Preferences for group B members
- * @returns {Object} Object containing matching and proposal counts
+ * @returns {Object} Object with the matching and its regret
  */
-export function runGaleShapley(prefsA, prefsB) {
+export function findMinimumRegretStableMatching(prefsA, prefsB) {
+    const { optimal, rotations, requires } = buildRotationPoset(prefsA, prefsB);
     const groupA = Object.keys(prefsA);
     const groupB = Object.keys(prefsB);
+    const rankA = (a, b) => getRank(a, b, prefsA) + 1;
+    const rankB = (b, a) => getRank(b, a, prefsB) + 1;
     
-    // Initialize data structures
-    const matching = {}; // Will store A->B and B->A mappings
-    const proposalCounts = {}; // Track how many proposals each A member has made
-    const freeA = new Set(groupA); // Set of free A members
+    const startA = Math.max(0, ...groupA.filter(a => optimal[a]).map(a => rankA(a, optimal[a])));
+    const { regret: worst } = computeRankCosts(optimal, prefsA, prefsB);
     
-    // Initialize proposal counts
-    groupA.forEach(a => {
-        proposalCounts[a] = 0;
+    for (let bound = startA; bound < worst; bound++) {
+        // Each group B member beyond the bound needs the rotation that lifts them within it
+        const needed = [];
+        const feasible = groupB.filter(b => optimal[b] && rankB(b, optimal[b]) > bound).every(b => {
+            const index = rotations.findIndex(moves => moves.some(({ a, to }, i) => {
+                const previous = moves[(i + 1) % moves.length].a;
+                return to === b && rankB(b, a) <= bound && rankB(b, previous) > bound;
+            }));
+            needed.push(index);
+            return index !== -1;
+        });
+        if (!feasible) continue;
+        
+        const chosen = closeRotations(needed, requires);
+        const pushesA = [...chosen].some(index =>
+            rotations[index].some(({ a, to }) => rankA(a, to) > bound));
+        if (!pushesA) {
+            return { matching: eliminateRotations(optimal, rotations, chosen), regret: bound };
+        }
+    }
+    
+    return { matching: optimal, regret: worst };
+}
+
+/**
+ * Find an approximately sex-equal stable matching, where both sides' total
+ * ranks are as close as possible. The exact problem is NP-hard, so this
+ * descends from the A-optimal matching, always eliminating the exposed
+ * rotation that brings the totals closest, and keeps the best matching
+ * seen. Ties are broken in listed order.
+ * @param {Object} prefsA - Preferences for group A members
+ * @param {Object} prefsB - Preferences for group B members
+ * @returns {Object} Object with the matching and its sex-equality cost
+ */
+export function findSexEqualStableMatching(prefsA, prefsB) {
+    const groupA = Object.keys(prefsA);
+    const strictA = breakTies(prefsA);
+    const strictB = breakTies(prefsB);
+    
+    let { matching } = runGaleShapley(strictA, strictB);
+    const { costA, costB } = computeRankCosts(matching, prefsA, prefsB);
+    
+    // Group A's total only grows and group B's only shrinks on the way down
+    let difference = costA - costB;
+    let best = { matching, sexEqualityCost: Math.abs(difference) };
+    
+    while (difference < 0) {
+        const options = findExposedRotations(matching, groupA, strictA, strictB)
+            .map(rotation => {
+                const { changeA, changeB } = rotationCostChange(rotation, prefsA, prefsB);
+                return { rotation, next: difference + changeA - changeB };
+            });
+        if (options.length === 0) break;
+        
+        const step = options.reduce((closest, option) =>
+            Math.abs(option.next) < Math.abs(closest.next) ? option : closest);
+        matching = eliminateRotation(matching, step.rotation);
+        difference = step.next;
+        
+        if (Math.abs(difference) < best.sexEqualityCost) {
+            best = { matching, sexEqualityCost: Math.abs(difference) };
+        }
+    }
+    
+    return best;
+}
+
+/**
+ * Solve a Stable Roommates instance with Irving's algorithm
+ *
+ * Phase 1 is a round of proposals in which everyone holds their best offer
+ * and drops everyone ranked below it. Phase 2 repeatedly eliminates
+ * rotations until every list has at most one entry. Following Tan, an
+ * odd-length rotation whose proposers and targets are the same people is an
+ * odd party: an odd cycle in which each member prefers the next to the
+ * previous one, so any pairing of them leaves someone behind.
+ * Odd parties are set aside, and a stable matching exists exactly when
+ * there are none. Lists may be incomplete; ties are broken in listed order.
+ * @param {Object} preferences - Preferences for every member of the pool
+ * @returns {Object} Object with exists flag, the matching (bidirectional
+ *     mapping, leaving odd party members single) and the odd parties, each
+ *     listed in the order its members prefer one another
+ */
+export function runIrvingRoommates(preferences) {
+    const pool = Object.keys(preferences);
+    const strict = breakTies(preferences);
+    
+    // Reduced lists keep only mutually acceptable partners
+    const lists = {};
+    pool.forEach(p => {
+        lists[p] = strict[p].filter(q => q !== p && isAcceptable(q, p, strict));
     });
     
-    // Main algorithm loop
-    while (freeA.size > 0) {
-        // Get an arbitrary free A member
-        const a = freeA.values().next().value;
+    const removePair = (x, y) => {
+        lists[x] = lists[x].filter(z => z !== y);
+        lists[y] = lists[y].filter(z => z !== x);
+    };
+    const dropSuccessors = (y, x) => {
+        const index = lists[y].indexOf(x);
+        lists[y].slice(index + 1).forEach(z => removePair(y, z));
+    };
+    
+    // Phase 1: each person proposes down their list; the receiver holds the
+    // best proposal so far and drops everyone they like less
+    const holding = {};
+    const proposers = [...pool];
+    while (proposers.length > 0) {
+        const x = proposers.pop();
+        if (lists[x].length === 0) continue;
         
-        // Check if A has exhausted all preferences
-        if (proposalCounts[a] >= groupB.length) {
-            freeA.delete(a);
-            continue;
+        const y = lists[x][0];
+        const previous = holding[y];
+        holding[y] = x;
+        dropSuccessors(y, x);
+        if (previous !== undefined && previous !== x) {
+            proposers.push(previous);
         }
+    }
+    
+    // Phase 2: eliminate rotations, setting odd parties aside
+    const oddParties = [];
+    while (true) {
+        const start = pool.find(p => lists[p].length > 1);
+        if (!start) break;
         
-        // Get A's next preferred B member
-        const b = prefsA[a][proposalCounts[a]];
-        proposalCounts[a]++;
+        const rotation = findRotation(lists, start);
+        const targets = rotation.map(x => lists[x][0]);
         
-        // If B is free, engage them
-        if (!matching[b]) {
-            matching[a] = b;
-            matching[b] = a;
-            freeA.delete(a);
-        } else {
-            // B is already matched, check if B prefers A over current partner
-            const currentPartner = matching[b];
-            if (prefers(b, a, currentPartner, prefsB)) {
-                // B prefers A, so break current engagement and engage with A
-                matching[a] = b;
-                matching[b] = a;
-                freeA.delete(a);
-                freeA.add(currentPartner);
-                delete matching[currentPartner];
-            }
-            // If B doesn't prefer A, A remains free and will try next preference
+        if (rotation.length % 2 === 1 && targets.every(y => rotation.includes(y))) {
+            // Order the party so each member prefers the next to the previous
+            const party = [];
+            let member = rotation[0];
+            do {
+                party.push(member);
+                member = lists[member][0];
+            } while (member !== rotation[0]);
+            
+            oddParties.push(party);
+            party.forEach(p => [...lists[p]].forEach(q => removePair(p, q)));
+            continue;
+        }
+        
+        // Each proposer moves on to their second choice, who drops everyone
+        // they like less than the proposer
+        const seconds = rotation.map(x => lists[x][1]);
+        rotation.forEach((x, i) => dropSuccessors(seconds[i], x));
+    }
+    
+    const matching = {};
+    pool.forEach(p => {
+        if (lists[p].length === 1) {
+            matching[p] = lists[p][0];
         }
+    });
+    
+    return { exists: oddParties.length === 0, matching, oddParties };
+}
+
+/**
+ * Find the rotation reached from start in a phase 2 table by repeatedly
+ * moving from p to the last entry on the list of p's second choice
+ * @param {Object} lists - Reduced preference lists
+ * @param {string} start - A person with at least two entries left
+ * @returns {Array} The people proposing along the rotation
+ */
+function findRotation(lists, start) {
+    const sequence = [];
+    const positions = new Map();
+    let p = start;
+    
+    while (!positions.has(p)) {
+        positions.set(p, sequence.length);
+        sequence.push(p);
+        const second = lists[p][1];
+        p = lists[second][lists[second].length - 1];
     }
     
-    return { matching, proposalCounts };
+    // The walk may enter the cycle after a tail; only the cycle rotates
+    return sequence.slice(positions.get(p));
 }
 
 /**
- * Find all blocking pairs in the current matching
+ * Find all blocking pairs of a one-sided (Stable Roommates) matching
  * @param {Object} matching - Current matching (bidirectional mapping)
- * @param {Object} prefsA - Preferences for group A members
- * @param {Object} prefsB - Preferences for group B members
- * @returns {Array} Array of blocking pairs
+ * @param {Object} preferences - Preferences for every member of the pool
+ * @returns {Array} Array of blocking pairs, each listed once
  */
-export function findBlockingPairs(matching, prefsA, prefsB) {
+export function findRoommateBlockingPairs(matching, preferences) {
     const blockingPairs = [];
-    const groupA = Object.keys(prefsA);
-    const groupB = Object.keys(prefsB);
+    const table = buildRankTable(preferences, Object.keys(preferences));
+    const pool = table.people;
     
-    // Check every possible A-B pair
-    for (const a of groupA) {
-        for (const b of groupB) {
-            // Skip if this is the current matching
-            if (matching[a] === b) continue;
-            
-            const aCurrentPartner = matching[a];
-            const bCurrentPartner = matching[b];
-            
-            // Check if A prefers B over their current partner
-            // and B prefers A over their current partner
-            const aPrefers = !aCurrentPartner || prefers(a, b, aCurrentPartner, prefsA);
-            const bPrefers = !bCurrentPartner || prefers(b, a, bCurrentPartner, prefsB);
+    // Each person's rank for their partner, undefined when single
+    const current = pool.map((p, i) => {
+        const partner = table.index.get(matching[p]);
+        return partner === undefined ? undefined : rankIn(table, i, partner);
+    });
+    
+    for (let i = 0; i < pool.length; i++) {
+        const partner = table.index.get(matching[pool[i]]);
+        for (let j = i + 1; j < pool.length; j++) {
+            if (j === partner) continue;
             
-            if (aPrefers && bPrefers) {
-                blockingPairs.push({ a, b });
+            const iPrefers = compareRanks(rankIn(table, i, j), current[i]) > 0;
+            const jPrefers = compareRanks(rankIn(table, j, i), current[j]) > 0;
+            if (iPrefers && jPrefers) {
+                blockingPairs.push({ a: pool[i], b: pool[j], kind: 'weak' });
             }
         }
     }
@@ -160,61 +1627,252 @@ export function findBlockingPairs(matching, prefsA, prefsB) {
     return blockingPairs;
 }
 
+/**
+ * Compute metrics for a one-sided (Stable Roommates) matching
+ * @param {Object} matching - Current matching (bidirectional mapping)
+ * @param {Object} preferences - Preferences for every member of the pool
+ * @param {Array} blockingPairs - Array of blocking pairs
+ * @returns {Object} Object containing stability, satisfaction and singles
+ */
+export function computeRoommateMetrics(matching, preferences, blockingPairs) {
+    const pool = Object.keys(preferences);
+    const others = Math.max(pool.length - 1, 1);
+    
+    // Stability Score: 1 - (blocking pairs / mutually acceptable pairs)
+    let acceptablePairs = 0;
+    pool.forEach((a, i) => {
+        pool.slice(i + 1).forEach(b => {
+            if (isAcceptable(a, b, preferences) && isAcceptable(b, a, preferences)) acceptablePairs++;
+        });
+    });
+    const stabilityScore = acceptablePairs === 0 ? 1 : 1 - (blockingPairs.length / acceptablePairs);
+    
+    // 1-based rank of each partner, null if single
+    const happinessScores = pool.map(p => {
+        const partner = matching[p];
+        if (!partner) return null;
+        return getRank(p, partner, preferences) + 1;
+    });
+    
+    const satisfaction = happinessScores.map(rank => rank === null ? 0 : (others + 1 - rank) / others);
+    const avgHappiness = pool.length
+        ? satisfaction.reduce((sum, s) => sum + s, 0) / pool.length
+        : 0;
+    
+    return {
+        stabilityScore,
+        avgHappiness,
+        happinessScores,
+        unmatched: pool.filter(p => !matching[p])
+    };
+}
+
 /**
  * Compute various metrics for the matching
+ *
+ * Single participants have no rank (null in the happiness scores) and count
+ * as zero satisfaction, so leaving people unmatched lowers the averages.
+ * Each side is normalised by its own size and by the size of the other
+ * side, so unbalanced markets are scored fairly. With capacities, a group B
+ * member scores the average rank of their assignees and their satisfaction
+ * is averaged over all their places, empty ones counting as zero. The
+ * egalitarian cost sums everyone's 1-based rank, the regret is the worst
+ * rank anyone is matched at and the sex-equality cost is the gap between
+ * the two sides' total ranks.
  * @param {Object} matching - Current matching (bidirectional mapping)
  * @param {Object} prefsA - Preferences for group A members
  * @param {Object} prefsB - Preferences for group B members
  * @param {Array} blockingPairs - Array of blocking pairs
  * @param {string} proposerSide - Which side was the proposer ('A' or 'B')
+ * @param {Object|null} capacities - Places per group B member (null for one-to-one)
  * @returns {Object} Object containing various metrics
  */
-export function computeMetrics(matching, prefsA, prefsB, blockingPairs, proposerSide = 'A') {
-    const groupA = Object.keys(prefsA);
-    const groupB = Object.keys(prefsB);
-    const n = groupA.length;
+export function computeMetrics(matching, prefsA, prefsB, blockingPairs, proposerSide = 'A', capacities = null) {
+    const tableA = buildRankTable(prefsA, Object.keys(prefsB));
+    const tableB = buildRankTable(prefsB, tableA.people);
+    const groupA = tableA.people;
+    const groupB = tableB.people;
+    const rankA = (a, b) => rankIn(tableA, tableA.index.get(a), tableB.index.get(b));
+    const rankB = (b, a) => rankIn(tableB, tableB.index.get(b), tableA.index.get(a));
     
-    // Stability Score: 1 - (blocking pairs / total possible pairs)
-    const totalPossiblePairs = n * n;
-    const stabilityScore = 1 - (blockingPairs.length / totalPossiblePairs);
+    // Stability Score: 1 - (blocking pairs / mutually acceptable pairs)
+    let acceptablePairs = 0;
+    tableA.lists.forEach((list, a) => {
+        list.forEach(b => {
+            if (tableB.places[b * groupA.length + a] !== -1) acceptablePairs++;
+        });
+    });
+    const stabilityScore = acceptablePairs === 0 ? 1 : 1 - (blockingPairs.length / acceptablePairs);
     
-    // Calculate happiness scores (lower rank = higher happiness)
+    // Calculate happiness scores (lower rank = higher happiness, null if single)
     const aHappiness = groupA.map(a => {
         const partner = matching[a];
-        if (!partner) return n; // Worst possible score if unmatched
-        return getRank(a, partner, prefsA) + 1; // 1-based ranking
+        if (!partner) return null;
+        return rankA(a, partner) + 1; // 1-based ranking
     });
     
     const bHappiness = groupB.map(b => {
-        const partner = matching[b];
-        if (!partner) return n; // Worst possible score if unmatched
-        return getRank(b, partner, prefsB) + 1; // 1-based ranking
+        const partners = partnersOf(matching, b);
+        if (partners.length === 0) return null;
+        const totalRank = partners.reduce((total, a) => total + rankB(b, a) + 1, 0);
+        return totalRank / partners.length; // 1-based ranking, averaged over assignees
     });
     
-    // Average happiness (lower is better, so we invert it)
-    const avgAHappiness = aHappiness.reduce((sum, h) => sum + h, 0) / n;
-    const avgBHappiness = bHappiness.reduce((sum, h) => sum + h, 0) / n;
-    const avgHappiness = (avgAHappiness + avgBHappiness) / 2;
+    // Average rank among matched participants (lower is better)
+    const matchedA = aHappiness.filter(h => h !== null);
+    const matchedB = bHappiness.filter(h => h !== null);
+    const avgAHappiness = matchedA.length ? matchedA.reduce((sum, h) => sum + h, 0) / matchedA.length : null;
+    const avgBHappiness = matchedB.length ? matchedB.reduce((sum, h) => sum + h, 0) / matchedB.length : null;
+    
+    // Convert to satisfaction scores (higher is better, 0 when single);
+    // a rank is out of the number of people on the other side
+    const toSatisfaction = (rank, options) => rank === null ? 0 : (options + 1 - rank) / options;
+    const sum = values => values.reduce((total, v) => total + v, 0);
+    const capacityOf = b => capacities ? capacities[b] : 1;
+    const aSatisfaction = aHappiness.map(h => toSatisfaction(h, groupB.length));
+    const bSatisfaction = groupB.map(b => {
+        const filled = partnersOf(matching, b)
+            .map(a => toSatisfaction(rankB(b, a) + 1, groupA.length));
+        return sum(filled) / Math.max(capacityOf(b), filled.length, 1);
+    });
+    const avgASatisfaction = groupA.length ? sum(aSatisfaction) / groupA.length : 0;
+    const avgBSatisfaction = groupB.length ? sum(bSatisfaction) / groupB.length : 0;
     
-    // Convert to satisfaction scores (higher is better)
-    const avgASatisfaction = (n + 1 - avgAHappiness) / n;
-    const avgBSatisfaction = (n + 1 - avgBHappiness) / n;
-    const avgSatisfaction = (avgASatisfaction + avgBSatisfaction) / 2;
+    // Overall average weights every participant equally
+    const totalParticipants = groupA.length + groupB.length;
+    const avgSatisfaction = totalParticipants
+        ? (sum(aSatisfaction) + sum(bSatisfaction)) / totalParticipants
+        : 0;
     
     // Proposer vs Receiver satisfaction
     const proposerSatisfaction = proposerSide === 'A' ? avgASatisfaction : avgBSatisfaction;
     const receiverSatisfaction = proposerSide === 'A' ? avgBSatisfaction : avgASatisfaction;
     
+    // Participants left without a partner, and places left empty
+    const unmatchedA = groupA.filter(a => !matching[a]);
+    const unmatchedB = groupB.filter(b => !matching[b]);
+    const openPlaces = {};
+    groupB.forEach(b => {
+        const open = capacityOf(b) - partnersOf(matching, b).length;
+        if (open > 0) openPlaces[b] = open;
+    });
+    
+    // Rank totals used to compare optimal stable matchings
+    const { costA, costB, regret } = computeRankCosts(matching, prefsA, prefsB);
+    
     return {
         stabilityScore,
         avgHappiness: avgSatisfaction, // Renamed to match UI expectations
         avgASatisfaction,
         avgBSatisfaction,
+        avgARank: avgAHappiness,
+        avgBRank: avgBHappiness,
         proposerSatisfaction,
         receiverSatisfaction,
         aHappinessScores: aHappiness,
-        bHappinessScores: bHappiness
+        bHappinessScores: bHappiness,
+        matchedCount: matchedA.length,
+        unmatchedA,
+        unmatchedB,
+        openPlaces,
+        egalitarianCost: costA + costB,
+        regret,
+        sexEqualityCost: Math.abs(costA - costB)
+    };
+}
+
+/**
+ * Compare how each participant fares in two matchings of the same
+ * instance, such as the A-proposing and B-proposing results. A group B
+ * member with several assignees is judged by their average rank, and being
+ * single is worse than any partner.
+ * @param {Object} first - The matching to compare from
+ * @param {Object} second - The matching to compare with
+ * @param {Object} prefsA - Preferences for group A members
+ * @param {Object} prefsB - Preferences for group B members
+ * @returns {Array} One entry per participant with side ('A' or 'B'), their
+ *     partners and 1-based rank in each matching (null if single) and the
+ *     change from first to second ('gain', 'loss' or 'same')
+ */
+export function compareMatchings(first, second, prefsA, prefsB) {
+    const describe = (matching, person, preferences) => {
+        const partners = partnersOf(matching, person);
+        const rank = partners.length === 0 ? null :
+            partners.reduce((total, p) => total + getRank(person, p, preferences) + 1, 0) / partners.length;
+        return { partners, rank };
+    };
+    const changeOf = (before, after) => {
+        if (before.rank === after.rank) return 'same';
+        if (before.rank === null) return 'gain';
+        if (after.rank === null) return 'loss';
+        return after.rank < before.rank ? 'gain' : 'loss';
+    };
+    
+    const sides = [['A', prefsA], ['B', prefsB]];
+    return sides.flatMap(([side, preferences]) =>
+        Object.keys(preferences).map(person => {
+            const before = describe(first, person, preferences);
+            const after = describe(second, person, preferences);
+            return { person, side, before, after, change: changeOf(before, after) };
+        })
+    );
+}
+
+/**
+ * Compare two snapshots of an instance and the matching shown for it, such
+ * as before and after a What-If change. Snapshots hold either prefsA and
+ * prefsB or, for a single pool, preferences.
+ * @param {Object} first - {prefsA, prefsB, matching, metrics} or
+ *     {preferences, matching, metrics}
+ * @param {Object} second - The snapshot to compare with, of the same kind
+ * @returns {Object} Object with lists (one entry per participant whose list
+ *     differs: {person, side, before, after}, where a list missing from a
+ *     snapshot is null), pairs ({added, removed}, each pair as {a, b}; a
+ *     single pool's pairs are ordered by ID) and metrics (one entry per
+ *     numeric metric in both: {metric, before, after, delta})
+ */
+export function compareSnapshots(first, second) {
+    const sidesOf = snapshot => snapshot.preferences
+        ? [['R', snapshot.preferences]]
+        : [['A', snapshot.prefsA], ['B', snapshot.prefsB]];
+    const secondSides = new Map(sidesOf(second));
+    
+    const lists = sidesOf(first).flatMap(([side, before]) => {
+        const after = secondSides.get(side) || {};
+        const people = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+        return people
+            .filter(person => JSON.stringify(before[person]) !== JSON.stringify(after[person]))
+            .map(person => ({ person, side, before: before[person] || null, after: after[person] || null }));
+    });
+    
+    const pairsOf = snapshot => {
+        const pairs = new Map();
+        const people = snapshot.preferences ? Object.keys(snapshot.preferences) : Object.keys(snapshot.prefsA);
+        people.forEach(person => {
+            partnersOf(snapshot.matching, person).forEach(partner => {
+                const [a, b] = snapshot.preferences ? [person, partner].sort() : [person, partner];
+                pairs.set(`${a}\u0000${b}`, { a, b });
+            });
+        });
+        return pairs;
+    };
+    const firstPairs = pairsOf(first);
+    const secondPairs = pairsOf(second);
+    const pairs = {
+        added: [...secondPairs].filter(([key]) => !firstPairs.has(key)).map(([, pair]) => pair),
+        removed: [...firstPairs].filter(([key]) => !secondPairs.has(key)).map(([, pair]) => pair)
     };
+    
+    const metrics = Object.keys(first.metrics)
+        .filter(metric => typeof first.metrics[metric] === 'number' && typeof second.metrics[metric] === 'number')
+        .map(metric => ({
+            metric,
+            before: first.metrics[metric],
+            after: second.metrics[metric],
+            delta: second.metrics[metric] - first.metrics[metric]
+        }));
+    
+    return { lists, pairs, metrics };
 }
 
 /**
@@ -234,18 +1892,11 @@ export function applySuggestion(suggestion, prefsA, prefsB) {
     if (action === 'swap' && indices && indices.length === 2) {
         const [i, j] = indices;
         
-        if (target.startsWith('A') && newPrefsA[target]) {
-            // Swap elements in group A preferences
-            const prefs = newPrefsA[target];
-            if (i < prefs.length && j < prefs.length) {
-                [prefs[i], prefs[j]] = [prefs[j], prefs[i]];
-            }
-        } else if (target.startsWith('B') && newPrefsB[target]) {
-            // Swap elements in group B preferences
-            const prefs = newPrefsB[target];
-            if (i < prefs.length && j < prefs.length) {
-                [prefs[i], prefs[j]] = [prefs[j], prefs[i]];
-            }
+        // Look the target up in each group rather than going by their ID,
+        // since imported IDs need not start with A or B
+        const prefs = Object.hasOwn(newPrefsA, target) ? newPrefsA[target] : newPrefsB[target];
+        if (prefs && i < prefs.length && j < prefs.length) {
+            [prefs[i], prefs[j]] = [prefs[j], prefs[i]];
         }
     }
     
@@ -262,22 +1913,25 @@ export function applySuggestion(suggestion, prefsA, prefsB) {
  * @returns {Object} Analysis insights
  */
 export function analyzeMatching(matching, prefsA, prefsB, blockingPairs, metrics) {
-    const groupA = Object.keys(prefsA);
-    const groupB = Object.keys(prefsB);
-    const n = groupA.length;
+    const tableA = buildRankTable(prefsA, Object.keys(prefsB));
+    const tableB = buildRankTable(prefsB, tableA.people);
+    const groupA = tableA.people;
+    const groupB = tableB.people;
     
-    // Find very unhappy participants (ranked their partner in bottom 25%)
-    const unhappyThreshold = Math.ceil(n * 0.75);
-    const unhappyA = groupA.filter(a => {
+    // Find very unhappy participants (ranked their partner in bottom 25% of
+    // the other side)
+    const thresholdA = Math.ceil(groupB.length * 0.75);
+    const thresholdB = Math.ceil(groupA.length * 0.75);
+    const unhappyA = groupA.filter((a, i) => {
         const partner = matching[a];
         if (!partner) return true;
-        return getRank(a, partner, prefsA) >= unhappyThreshold;
+        return rankIn(tableA, i, tableB.index.get(partner)) >= thresholdA;
     });
     
-    const unhappyB = groupB.filter(b => {
-        const partner = matching[b];
-        if (!partner) return true;
-        return getRank(b, partner, prefsB) >= unhappyThreshold;
+    const unhappyB = groupB.filter((b, j) => {
+        const partners = partnersOf(matching, b);
+        if (partners.length === 0) return true;
+        return Math.max(...partners.map(a => rankIn(tableB, j, tableA.index.get(a)))) >= thresholdB;
     });
     
     // Analyze proposer advantage
@@ -304,121 +1958,416 @@ export function analyzeMatching(matching, prefsA, prefsB, blockingPairs, metrics
     };
 }
 
+/**
+ * Largest side, in participants, that generateSuggestions simulates swaps for
+ */
+export const SUGGESTION_MAX_SIZE = 500;
+
 /**
  * Generate suggestions for improving the matching
+ *
+ * Candidate swaps of neighbouring entries come from the participants in
+ * the most blocking pairs and the unhappiest ones. Each candidate is
+ * applied with applySuggestion and the instance re-solved, so every
+ * suggestion reports the exact change it makes; only candidates that help
+ * are kept, best first (fewer blocking pairs, then higher average
+ * satisfaction). Each simulation costs a solve, so instances with more
+ * than maxSize participants on a side get no suggestions.
  * @param {Object} matching - Current matching
  * @param {Object} prefsA - Preferences for group A members
  * @param {Object} prefsB - Preferences for group B members
  * @param {Array} blockingPairs - Array of blocking pairs
  * @param {Object} analysis - Analysis insights
- * @returns {Array} Array of suggestion objects
+ * @param {Object} options - How to re-solve and score:
+ *     {solve(prefsA, prefsB) returning a matching (default Gale-Shapley,
+ *     or Hospitals/Residents with capacities), stability, proposerSide,
+ *     capacities, limit (default 3), maxSize (default
+ *     SUGGESTION_MAX_SIZE)}
+ * @returns {Array} Array of suggestion objects, each with its simulated impact
  */
-export function generateSuggestions(matching, prefsA, prefsB, blockingPairs, analysis) {
-    const suggestions = [];
+export function generateSuggestions(matching, prefsA, prefsB, blockingPairs, analysis, options = {}) {
+    const {
+        stability = 'weak',
+        proposerSide = 'A',
+        capacities = null,
+        limit = 3,
+        maxSize = SUGGESTION_MAX_SIZE
+    } = options;
+    const solve = options.solve || defaultSolver(proposerSide, capacities);
     const { blockingPairCounts, unhappyA, unhappyB } = analysis;
     
-    // Find participants most involved in blocking pairs
+    if (Math.max(Object.keys(prefsA).length, Object.keys(prefsB).length) > maxSize) {
+        return [];
+    }
+    
+    // Participants most involved in blocking pairs, then the unhappiest
     const mostProblematic = Object.entries(blockingPairCounts)
         .filter(([_, count]) => count > 0)
         .sort((a, b) => b[1] - a[1])
         .slice(0, 3)
         .map(([participant, _]) => participant);
+    const veryUnhappy = [...unhappyA, ...unhappyB].slice(0, 3);
+    const targets = [...new Set([...mostProblematic, ...veryUnhappy])];
     
-    // Generate swap suggestions for problematic participants
-    mostProblematic.forEach(participant => {
-        const isGroupA = participant.startsWith('A');
+    // Swap neighbouring entries around the current partner's rank, or near
+    // the top of the list for someone single
+    const candidates = [];
+    targets.forEach(participant => {
+        const isGroupA = Object.hasOwn(prefsA, participant);
         const prefs = isGroupA ? prefsA[participant] : prefsB[participant];
-        
         if (!prefs || prefs.length < 2) return;
         
-        // Try swapping adjacent pairs, especially involving current partner
-        const currentPartner = matching[participant];
+        const currentPartner = partnersOf(matching, participant)[0];
         const currentRank = currentPartner ? getRank(participant, currentPartner, isGroupA ? prefsA : prefsB) : -1;
-        
-        for (let i = 0; i < prefs.length - 1; i++) {
-            // Prioritize swaps that might improve current partner's ranking
-            if (currentRank !== -1 && Math.abs(i - currentRank) > 2) continue;
-            
-            const suggestion = {
-                target: participant,
-                action: 'swap',
-                indices: [i, i + 1],
-                rationale: `May reduce blocking pairs involving ${participant}`,
-                expectedDelta: estimateImpact(participant, [i, i + 1], matching, prefsA, prefsB)
-            };
-            
-            suggestions.push(suggestion);
-            if (suggestions.length >= 3) break;
+        const from = currentRank === -1 ? 0 : Math.max(0, currentRank - 2);
+        const to = currentRank === -1 ? 2 : currentRank + 2;
+        for (let i = from; i < Math.min(to, prefs.length - 1); i++) {
+            candidates.push({ target: participant, action: 'swap', indices: [i, i + 1] });
         }
     });
     
-    // If no blocking pairs but unhappy participants, suggest swaps for very unhappy ones
-    if (blockingPairs.length === 0 && (unhappyA.length > 0 || unhappyB.length > 0)) {
-        const veryUnhappy = [...unhappyA, ...unhappyB].slice(0, 2);
-        
-        veryUnhappy.forEach(participant => {
-            const isGroupA = participant.startsWith('A');
-            const prefs = isGroupA ? prefsA[participant] : prefsB[participant];
-            
-            if (!prefs || prefs.length < 2) return;
-            
-            // Suggest moving preferred partners higher
-            for (let i = 1; i < Math.min(3, prefs.length); i++) {
-                const suggestion = {
-                    target: participant,
-                    action: 'swap',
-                    indices: [i - 1, i],
-                    rationale: `May improve happiness for ${participant}`,
-                    expectedDelta: estimateImpact(participant, [i - 1, i], matching, prefsA, prefsB)
-                };
-                
-                suggestions.push(suggestion);
-                if (suggestions.length >= 3) break;
-            }
-        });
+    // Re-solve with each candidate applied and measure the difference
+    const before = computeMetrics(matching, prefsA, prefsB, blockingPairs, proposerSide, capacities);
+    const evaluated = candidates.map(candidate => {
+        const { prefsA: newPrefsA, prefsB: newPrefsB } = applySwap(candidate, prefsA, prefsB);
+        const newMatching = solve(newPrefsA, newPrefsB);
+        const newBlockingPairs = findBlockingPairs(newMatching, newPrefsA, newPrefsB, stability, capacities);
+        const after = computeMetrics(newMatching, newPrefsA, newPrefsB, newBlockingPairs, proposerSide, capacities);
+        const impact = {
+            stability: after.stabilityScore - before.stabilityScore,
+            blockingPairs: newBlockingPairs.length - blockingPairs.length,
+            avgHappiness: after.avgHappiness - before.avgHappiness,
+            avgASatisfaction: after.avgASatisfaction - before.avgASatisfaction,
+            avgBSatisfaction: after.avgBSatisfaction - before.avgBSatisfaction,
+            changedPairs: diffPairs(matching, newMatching, Object.keys(prefsA))
+        };
+        return { ...candidate, rationale: describeImpact(impact), impact };
+    });
+    
+    // Keep what helps: fewer blocking pairs first, then higher satisfaction
+    const EPSILON = 1e-9;
+    const benefit = ({ impact }) => impact.blockingPairs < 0 || (impact.blockingPairs === 0 && impact.avgHappiness > EPSILON);
+    return evaluated
+        .filter(benefit)
+        .sort((x, y) => x.impact.blockingPairs - y.impact.blockingPairs ||
+            y.impact.avgHappiness - x.impact.avgHappiness)
+        .slice(0, limit);
+}
+
+/**
+ * Apply a swap suggestion for simulation, copying only the edited list.
+ * The other lists are shared with the originals, which is safe because
+ * solving and scoring never modify them and much cheaper than the deep
+ * copy applySuggestion makes.
+ * @param {Object} suggestion - Swap suggestion ({target, indices})
+ * @param {Object} prefsA - Preferences for group A members
+ * @param {Object} prefsB - Preferences for group B members
+ * @returns {Object} Updated preferences
+ */
+function applySwap(suggestion, prefsA, prefsB) {
+    const { target, indices: [i, j] } = suggestion;
+    const isGroupA = Object.hasOwn(prefsA, target);
+    const list = [...(isGroupA ? prefsA : prefsB)[target]];
+    [list[i], list[j]] = [list[j], list[i]];
+    
+    return isGroupA
+        ? { prefsA: { ...prefsA, [target]: list }, prefsB }
+        : { prefsA, prefsB: { ...prefsB, [target]: list } };
+}
+
+/**
+ * Re-solve edited preferences the default way: deferred acceptance, or
+ * Hospitals/Residents when there are capacities
+ * @param {string} proposerSide - Which side proposes ('A' or 'B')
+ * @param {Object|null} capacities - Places per group B member (null for one-to-one)
+ * @returns {Function} solve(prefsA, prefsB) returning a matching
+ */
+function defaultSolver(proposerSide, capacities) {
+    return (prefsA, prefsB) => capacities
+        ? runHospitalsResidents(prefsA, prefsB, capacities, proposerSide).matching
+        : runGaleShapley(prefsA, prefsB, proposerSide).matching;
+}
+
+/**
+ * List the pairs that differ between two matchings
+ * @param {Object} before - Matching before the change
+ * @param {Object} after - Matching after the change
+ * @param {Array} groupA - Group A participant IDs
+ * @returns {Object} Object with the pairs added and removed, as {a, b}
+ */
+function diffPairs(before, after, groupA) {
+    const added = [];
+    const removed = [];
+    groupA.forEach(a => {
+        if (before[a] === after[a]) return;
+        if (after[a]) added.push({ a, b: after[a] });
+        if (before[a]) removed.push({ a, b: before[a] });
+    });
+    return { added, removed };
+}
+
+/**
+ * Summarise a simulated impact in words
+ * @param {Object} impact - Impact from generateSuggestions
+ * @returns {string} E.g. "Removes 1 blocking pair and raises average satisfaction by 0.04"
+ */
+function describeImpact(impact) {
+    const parts = [];
+    if (impact.blockingPairs !== 0) {
+        const count = Math.abs(impact.blockingPairs);
+        parts.push(`${impact.blockingPairs < 0 ? 'removes' : 'adds'} ${count} blocking pair${count === 1 ? '' : 's'}`);
+    }
+    if (Math.abs(impact.avgHappiness) >= 0.005) {
+        parts.push(`${impact.avgHappiness > 0 ? 'raises' : 'lowers'} average satisfaction by ${Math.abs(impact.avgHappiness).toFixed(2)}`);
     }
     
-    return suggestions.slice(0, 3); // Return max 3 suggestions
+    const changed = impact.changedPairs.added.length + impact.changedPairs.removed.length;
+    if (parts.length === 0) {
+        parts.push(changed > 0 ? 'rearranges pairs without changing the scores' : 'leaves the matching unchanged');
+    }
+    const text = parts.join(' and ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
 }
 
 /**
- * Estimate the impact of a suggested change
- * @param {string} target - The participant whose preferences will change
- * @param {Array} indices - The indices to swap
- * @param {Object} matching - Current matching
- * @param {Object} prefsA - Current preferences for group A
- * @param {Object} prefsB - Current preferences for group B
- * @returns {Object} Estimated delta in metrics
+ * Find the fewest preference edits that make the solver match chosen pairs
+ *
+ * An edit swaps two neighbouring entries of one preference list, so moving
+ * an entry k places costs k edits. Edited instances are searched
+ * breadth-first, re-solving each one, so the first sequence found is a
+ * shortest one. The search gives up after maxStates instances and falls
+ * back to moving every target partner to the top of the lists (on the
+ * proposing side, the other side or both, whichever is cheapest and
+ * works); that fallback is only reported as optimal when every shorter
+ * sequence was ruled out. If the search stops without any sequence, the
+ * result says so rather than claiming none exists.
+ * @param {Object} prefsA - Preferences for group A members
+ * @param {Object} prefsB - Preferences for group B members
+ * @param {Array} targetPairs - Pairs to reach, as {a, b}; all of a
+ *     matching's pairs make it the target
+ * @param {Object} options - {solve(prefsA, prefsB) returning a matching
+ *     (default Gale-Shapley, or Hospitals/Residents with capacities),
+ *     proposerSide, capacities, maxStates (default 20000)}
+ * @returns {Object|null} Object with the edits (swaps in applySuggestion
+ *     form, to apply in order, or null if the search stopped before
+ *     finding any) and whether the sequence is known to be optimal, or
+ *     null if no sequence exists
  */
-function estimateImpact(target, indices, matching, prefsA, prefsB) {
-    // Simple heuristic: estimate based on how the change affects current partner ranking
-    const isGroupA = target.startsWith('A');
-    const prefs = isGroupA ? prefsA[target] : prefsB[target];
-    const currentPartner = matching[target];
+export function findTargetEdits(prefsA, prefsB, targetPairs, options = {}) {
+    const { proposerSide = 'A', capacities = null, maxStates = 20000 } = options;
+    const solve = options.solve || defaultSolver(proposerSide, capacities);
+    
+    // Swaps only reorder lists, so unacceptable pairs stay out of reach
+    if (targetPairs.some(({ a, b }) => getRank(a, b, prefsA) === -1 || getRank(b, a, prefsB) === -1)) {
+        return null;
+    }
     
-    if (!currentPartner || !prefs) {
-        return { stability: 0, avgHappiness: 0 };
+    const reaches = (newPrefsA, newPrefsB) => {
+        const matching = solve(newPrefsA, newPrefsB);
+        return targetPairs.every(({ a, b }) => partnersOf(matching, a).includes(b));
+    };
+    if (reaches(prefsA, prefsB)) {
+        return { edits: [], optimal: true };
     }
     
-    const currentRank = getRank(target, currentPartner, isGroupA ? prefsA : prefsB);
-    const [i, j] = indices;
+    const fallback = promoteTargets(prefsA, prefsB, targetPairs, proposerSide)
+        .filter(({ prefsA: newPrefsA, prefsB: newPrefsB }) => reaches(newPrefsA, newPrefsB))
+        .reduce((best, option) => !best || option.edits.length < best.edits.length ? option : best, null);
+    const bound = fallback ? fallback.edits.length : Infinity;
     
-    // Calculate rank change if current partner is involved in the swap
-    let rankDelta = 0;
-    if (currentRank === i) {
-        rankDelta = j - i;
-    } else if (currentRank === j) {
-        rankDelta = i - j;
+    const lists = [
+        ...Object.keys(prefsA).map(person => ({ person, side: 'A' })),
+        ...Object.keys(prefsB).map(person => ({ person, side: 'B' }))
+    ];
+    const keyOf = state => JSON.stringify([state.prefsA, state.prefsB]);
+    const seen = new Set([keyOf({ prefsA, prefsB })]);
+    let frontier = [{ prefsA, prefsB, edits: [] }];
+    let explored = 0;
+    
+    // Every sequence shorter than the fallback is tried, shortest first
+    for (let depth = 1; depth < bound && frontier.length > 0; depth++) {
+        const next = [];
+        for (const state of frontier) {
+            for (const { person, side } of lists) {
+                const list = side === 'A' ? state.prefsA[person] : state.prefsB[person];
+                for (let i = 0; i < list.length - 1; i++) {
+                    const swapped = swapEntries(list, i);
+                    const candidate = side === 'A'
+                        ? { prefsA: { ...state.prefsA, [person]: swapped }, prefsB: state.prefsB }
+                        : { prefsA: state.prefsA, prefsB: { ...state.prefsB, [person]: swapped } };
+                    const key = keyOf(candidate);
+                    if (seen.has(key)) continue;
+                    seen.add(key);
+                    
+                    if (++explored > maxStates) {
+                        return { edits: fallback ? fallback.edits : null, optimal: false };
+                    }
+                    candidate.edits = [...state.edits, { target: person, action: 'swap', indices: [i, i + 1] }];
+                    if (reaches(candidate.prefsA, candidate.prefsB)) {
+                        return { edits: candidate.edits, optimal: true };
+                    }
+                    next.push(candidate);
+                }
+            }
+        }
+        frontier = next;
     }
     
-    // Estimate happiness delta (negative rank delta means better ranking)
-    const happinessDelta = -rankDelta * 0.1; // Rough estimate
+    return fallback && { edits: fallback.edits, optimal: true };
+}
+
+/**
+ * Build the edits that move every target partner to the top of the lists:
+ * on the proposing side, on the other side, and on both
+ * @param {Object} prefsA - Preferences for group A members
+ * @param {Object} prefsB - Preferences for group B members
+ * @param {Array} targetPairs - Pairs to reach, as {a, b}
+ * @param {string} proposerSide - Which side proposes ('A' or 'B')
+ * @returns {Array} Options, each with its edits and edited prefsA and prefsB
+ */
+function promoteTargets(prefsA, prefsB, targetPairs, proposerSide) {
+    const promote = (preferences, owner, partner) => {
+        const lists = {};
+        const edits = [];
+        targetPairs.forEach(pair => {
+            const person = pair[owner];
+            const list = lists[person] || preferences[person];
+            const top = targetPairs.filter(other => other[owner] === person).indexOf(pair);
+            let index = getRank(person, pair[partner], { [person]: list });
+            let moved = list;
+            for (; index > top; index--) {
+                moved = swapEntries(moved, index - 1);
+                edits.push({ target: person, action: 'swap', indices: [index - 1, index] });
+            }
+            lists[person] = moved;
+        });
+        return { edits, preferences: { ...preferences, ...lists } };
+    };
+    
+    const onA = promote(prefsA, 'a', 'b');
+    const onB = promote(prefsB, 'b', 'a');
+    const both = { prefsA: onA.preferences, prefsB: onB.preferences, edits: [...onA.edits, ...onB.edits] };
+    const options = [
+        { prefsA: onA.preferences, prefsB, edits: onA.edits },
+        { prefsA, prefsB: onB.preferences, edits: onB.edits },
+        both
+    ];
+    return proposerSide === 'A' ? options : [options[1], options[0], both];
+}
+
+/**
+ * Copy a preference list with two neighbouring entries swapped
+ * @param {Array} list - Preference list
+ * @param {number} index - Position of the first entry
+ * @returns {Array} New list with entries index and index + 1 swapped
+ */
+function swapEntries(list, index) {
+    const swapped = list.slice();
+    [swapped[index], swapped[index + 1]] = [swapped[index + 1], swapped[index]];
+    return swapped;
+}
+
+/**
+ * Look for profitable lies: for each participant, a misreported preference
+ * list that gets them a partner they truly prefer
+ *
+ * Deferred acceptance is strategy-proof for the proposing side but not for
+ * the receiving side. Each participant's lies are built from their true
+ * list: every ordered selection of its entries when it has at most
+ * exhaustiveLength entries, otherwise every truncation and every entry
+ * moved to the top, alone or ahead of the rest. Each lie is re-solved and
+ * judged by the liar's true list; the first lie reaching their best
+ * outcome wins, trying truncations first. With capacities only group A
+ * (the residents) is checked.
+ * @param {Object} prefsA - Preferences for group A members
+ * @param {Object} prefsB - Preferences for group B members
+ * @param {Object} options - {solve(prefsA, prefsB) returning a matching
+ *     (default Gale-Shapley, or Hospitals/Residents with capacities),
+ *     proposerSide, capacities, exhaustiveLength (default 6)}
+ * @returns {Array} The best lie for everyone who can gain, largest gain
+ *     first, as {person, side, list (the reported list), partner (truthful
+ *     outcome, null if single), newPartner, gain (places gained in their
+ *     true list, being single ranking below it) and exhaustive (whether
+ *     every lie was tried)}
+ */
+export function findManipulations(prefsA, prefsB, options = {}) {
+    const { proposerSide = 'A', capacities = null, exhaustiveLength = 6 } = options;
+    const solve = options.solve || defaultSolver(proposerSide, capacities);
+    const truthful = solve(prefsA, prefsB);
     
-    // Estimate stability delta (very rough heuristic)
-    const stabilityDelta = Math.abs(rankDelta) > 0 ? Math.random() * 0.2 - 0.1 : 0;
+    const people = [
+        ...Object.keys(prefsA).map(person => ({ person, side: 'A', preferences: prefsA })),
+        ...(capacities ? [] : Object.keys(prefsB).map(person => ({ person, side: 'B', preferences: prefsB })))
+    ];
     
-    return {
-        stability: Number(stabilityDelta.toFixed(2)),
-        avgHappiness: Number(happinessDelta.toFixed(2))
+    const manipulations = [];
+    people.forEach(({ person, side, preferences }) => {
+        const list = preferences[person];
+        const rankOf = partner => partner ? getRank(person, partner, preferences) : list.length;
+        const partner = partnersOf(truthful, person)[0] || null;
+        const truthfulRank = rankOf(partner);
+        if (truthfulRank === 0) return;
+        
+        const entries = flattenPreferences(list);
+        const exhaustive = entries.length <= exhaustiveLength;
+        let best = null;
+        for (const lie of candidateLies(entries, exhaustive)) {
+            const lied = { ...preferences, [person]: lie };
+            const matching = side === 'A' ? solve(lied, prefsB) : solve(prefsA, lied);
+            const newPartner = partnersOf(matching, person)[0] || null;
+            const rank = rankOf(newPartner);
+            if (rank < (best ? best.rank : truthfulRank)) {
+                best = { list: lie, newPartner, rank };
+                if (rank === 0) break;
+            }
+        }
+        if (best) {
+            manipulations.push({
+                person,
+                side,
+                list: best.list,
+                partner,
+                newPartner: best.newPartner,
+                gain: truthfulRank - best.rank,
+                exhaustive
+            });
+        }
+    });
+    
+    return manipulations.sort((x, y) => y.gain - x.gain);
+}
+
+/**
+ * List the lists a participant might report instead of their true one:
+ * truncations first, then each entry promoted to the top (alone or ahead
+ * of the rest), then, when exhaustive, every other ordered selection
+ * @param {Array} entries - The true list, flattened
+ * @param {boolean} exhaustive - Whether to add every ordered selection
+ * @returns {Array} Each distinct non-empty lie once
+ */
+function candidateLies(entries, exhaustive) {
+    const lies = [];
+    const seen = new Set();
+    const add = lie => {
+        const key = lie.join('\u0000');
+        if (seen.has(key)) return;
+        seen.add(key);
+        lies.push(lie);
+    };
+    
+    for (let length = entries.length; length >= 1; length--) {
+        add(entries.slice(0, length));
+    }
+    entries.forEach(entry => {
+        add([entry]);
+        add([entry, ...entries.filter(other => other !== entry)]);
+    });
+    
+    // Every ordered selection, built up one entry at a time
+    const extend = (prefix, remaining) => {
+        if (prefix.length > 0) add(prefix);
+        remaining.forEach(entry => extend([...prefix, entry], remaining.filter(other => other !== entry)));
     };
-}
\ No newline at end of file
+    if (exhaustive) extend([], entries);
+    return lies;
+}
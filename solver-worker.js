@@ -0,0 +1,21 @@
+/**
+ * Solver Worker
+ *
+ * Runs pipeline requests from createSolver (solver.js) off the main thread.
+ * Each message is {id, request}; the worker answers with 'progress'
+ * messages and then a 'result' or 'error' message carrying the same id.
+ */
+
+import { runPipeline } from './solver.js';
+
+self.addEventListener('message', ({ data }) => {
+    const { id, request } = data;
+    try {
+        const result = runPipeline(request, progress => {
+            self.postMessage({ id, type: 'progress', progress });
+        });
+        self.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+});
@@ -0,0 +1,423 @@
+/**
+ * Solver Pipeline Module
+ *
+ * Runs the smp.js pipeline behind the UI (solving, enumerating the lattice,
+ * comparing proposing sides, recording the replay trace, and finding
+ * blocking pairs, metrics, analysis and suggestions) as a single request.
+ * Requests and results are plain data, so the same pipeline runs inside a
+ * Web Worker (solver-worker.js) or, where workers are unavailable, on the
+ * main thread.
+ */
+
+import {
+    runIrvingRoommates,
+    findRoommateBlockingPairs,
+    computeRoommateMetrics,
+    runGaleShapley,
+    runHospitalsResidents,
+    compareMatchings,
+    findStronglyStableMatching,
+    findSuperStableMatching,
+    enumerateStableMatchings,
+    findEgalitarianStableMatching,
+    findMinimumRegretStableMatching,
+    findSexEqualStableMatching,
+    findBlockingPairs,
+    computeMetrics,
+    analyzeMatching,
+    generateSuggestions,
+    findTargetEdits,
+    findManipulations
+} from './smp.js';
+import { runExperiments } from './experiments.js';
+
+// Solvers for the optimality objectives, keyed by objective name
+const OBJECTIVE_SOLVERS = {
+    egalitarian: findEgalitarianStableMatching,
+    'minimum-regret': findMinimumRegretStableMatching,
+    'sex-equal': findSexEqualStableMatching
+};
+
+/**
+ * Run a pipeline request
+ *
+ * A 'solve' request finds a matching for the instance and everything shown
+ * alongside it; an 'evaluate' request only scores a given matching (e.g.
+ * one picked from the lattice); a 'target' request searches for the
+ * fewest preference edits that make the solver match the given pairs; a
+ * 'manipulation' request looks for participants who gain by lying; an
+ * 'experiment' request runs a batch of random instances. Progress is
+ * reported before each step.
+ * @param {Object} request - {type: 'solve', instance, settings},
+ *     {type: 'evaluate', instance, matching, settings}, {type: 'target',
+ *     instance, pairs, settings}, {type: 'manipulation', instance,
+ *     settings} or {type: 'experiment', spec}. The instance is
+ *     {mode, prefsA, prefsB, capacities} or {mode: 'roommates',
+ *     preferences}; settings are {notion, objective, proposerSide,
+ *     latticeLimit}
+ * @param {Function} onProgress - Called with {label, done, total}
+ * @returns {Object} The matching and its analysis, the edits, the lies
+ *     or the experiment rows; see solveBipartite, solveRoommates,
+ *     evaluateMatching, searchTargetEdits, searchManipulations and
+ *     runExperiments
+ * @throws {Error} If the request type is unknown
+ */
+export function runPipeline(request, onProgress = () => {}) {
+    const { type, instance, settings = {} } = request;
+    
+    if (type === 'evaluate') {
+        return evaluateMatching(request.matching, instance, settings, createStepper(4, onProgress));
+    }
+    if (type === 'target') {
+        return searchTargetEdits(instance, request.pairs, settings, createStepper(1, onProgress));
+    }
+    if (type === 'manipulation') {
+        return searchManipulations(instance, settings, createStepper(1, onProgress));
+    }
+    if (type === 'experiment') {
+        return runExperiments(request.spec, onProgress);
+    }
+    if (type !== 'solve') {
+        throw new Error(`Unknown solver request "${type}"`);
+    }
+    return instance.mode === 'roommates'
+        ? solveRoommates(instance.preferences, createStepper(3, onProgress))
+        : solveBipartite(instance, settings, onProgress);
+}
+
+/**
+ * Create a progress reporter for a fixed number of steps
+ * @param {number} total - Number of steps
+ * @param {Function} onProgress - Progress callback
+ * @returns {Function} step(label), called as each step starts
+ */
+function createStepper(total, onProgress) {
+    let done = 0;
+    return label => onProgress({ label, done: done++, total });
+}
+
+/**
+ * Solve a two-sided instance under the requested settings
+ *
+ * With capacities only weak stability and the proposer-optimal matching
+ * apply, and the lattice and replay are skipped; the settings actually used
+ * are returned with the result.
+ * @param {Object} instance - {prefsA, prefsB, capacities}
+ * @param {Object} settings - {notion, objective, proposerSide, latticeLimit}
+ * @param {Function} onProgress - Progress callback
+ * @returns {Object} Object with matching, exists, notion, objective,
+ *     proposerSide, lattice (with the selected index, or null), comparison,
+ *     replay ({events, matching}, or null) and the evaluation
+ */
+function solveBipartite(instance, settings, onProgress) {
+    const { prefsA, prefsB } = instance;
+    const capacities = instance.capacities || null;
+    const proposerSide = settings.proposerSide || 'A';
+    const notion = capacities ? 'weak' : settings.notion || 'weak';
+    const objective = capacities || notion !== 'weak' ? 'proposer' : settings.objective || 'proposer';
+    const withLattice = !capacities && notion === 'weak';
+    const step = createStepper((withLattice ? 7 : 6) + (capacities ? 0 : 1), onProgress);
+    
+    step('Solving');
+    const { matching, exists } = capacities
+        ? { matching: runHospitalsResidents(prefsA, prefsB, capacities, proposerSide).matching, exists: true }
+        : solveForStability(prefsA, prefsB, notion, objective, proposerSide);
+    
+    // Enumerate every stable matching when the lattice applies
+    let lattice = null;
+    if (withLattice) {
+        step('Enumerating stable matchings');
+        const groupA = Object.keys(prefsA);
+        const enumerated = enumerateStableMatchings(prefsA, prefsB, settings.latticeLimit);
+        const selected = enumerated.matchings.findIndex(node =>
+            groupA.every(a => node.matching[a] === matching[a]));
+        lattice = { ...enumerated, selected };
+    }
+    
+    step('Comparing proposing sides');
+    const comparison = compareProposerSides(prefsA, prefsB, capacities);
+    
+    // Record a Gale-Shapley trace for the replay panel
+    let replay = null;
+    if (!capacities) {
+        step('Recording the replay');
+        const traced = runGaleShapley(prefsA, prefsB, proposerSide, { recordEvents: true });
+        replay = { events: traced.events, matching: traced.matching };
+    }
+    
+    const evaluation = evaluateMatching(matching, instance, { notion, objective, proposerSide }, step);
+    return { matching, exists, notion, objective, proposerSide, lattice, comparison, replay, ...evaluation };
+}
+
+/**
+ * Find a matching that is stable under the given notion. Weakly stable
+ * matchings can be picked by an optimality objective instead of the
+ * proposer-optimal one. When no strongly or super-stable matching exists,
+ * fall back to a weakly stable one so the offending blocking pairs can
+ * still be inspected.
+ * @param {Object} prefsA - Preferences for group A members
+ * @param {Object} prefsB - Preferences for group B members
+ * @param {string} notion - Stability notion ('weak', 'strong' or 'super')
+ * @param {string} objective - 'proposer' or a key of OBJECTIVE_SOLVERS
+ * @param {string} proposerSide - Which side proposes ('A' or 'B')
+ * @returns {Object} Object with the matching and whether a matching of the
+ *     requested notion exists
+ */
+function solveForStability(prefsA, prefsB, notion, objective, proposerSide) {
+    if (notion === 'weak' && objective !== 'proposer') {
+        const { matching } = OBJECTIVE_SOLVERS[objective](prefsA, prefsB);
+        return { matching, exists: true };
+    }
+    
+    if (notion !== 'weak') {
+        const solver = notion === 'strong' ? findStronglyStableMatching : findSuperStableMatching;
+        const result = solver(prefsA, prefsB);
+        if (result.exists) {
+            return { matching: result.matching, exists: true };
+        }
+    }
+    
+    const { matching } = runGaleShapley(prefsA, prefsB, proposerSide);
+    return { matching, exists: notion === 'weak' };
+}
+
+/**
+ * Run deferred acceptance with each side proposing and compare how every
+ * participant fares in the two extreme stable matchings
+ * @param {Object} prefsA - Preferences for group A members
+ * @param {Object} prefsB - Preferences for group B members
+ * @param {Object|null} capacities - Places per group B member (null for one-to-one)
+ * @returns {Object} Object with the per-person changes and each run's
+ *     average satisfaction per side
+ */
+function compareProposerSides(prefsA, prefsB, capacities) {
+    const [fromA, fromB] = ['A', 'B'].map(side => capacities
+        ? runHospitalsResidents(prefsA, prefsB, capacities, side).matching
+        : runGaleShapley(prefsA, prefsB, side).matching);
+    
+    const satisfactionOf = (matching, side) => {
+        const metrics = computeMetrics(matching, prefsA, prefsB, [], side, capacities);
+        return { a: metrics.avgASatisfaction, b: metrics.avgBSatisfaction };
+    };
+    
+    return {
+        changes: compareMatchings(fromA, fromB, prefsA, prefsB),
+        satisfaction: { A: satisfactionOf(fromA, 'A'), B: satisfactionOf(fromB, 'B') }
+    };
+}
+
+/**
+ * Score a two-sided matching: blocking pairs under the given notion,
+ * metrics, analysis and suggestions. Suggestions are simulated by
+ * re-solving under the same settings.
+ * @param {Object} matching - The matching to score
+ * @param {Object} instance - {prefsA, prefsB, capacities}
+ * @param {Object} settings - {notion, objective, proposerSide}
+ * @param {Function} step - Progress reporter from createStepper
+ * @returns {Object} Object with blockingPairs, metrics, analysis and suggestions
+ */
+function evaluateMatching(matching, instance, settings, step) {
+    const { prefsA, prefsB } = instance;
+    const capacities = instance.capacities || null;
+    
+    step('Finding blocking pairs');
+    const blockingPairs = findBlockingPairs(matching, prefsA, prefsB, settings.notion, capacities);
+    
+    step('Computing metrics');
+    const metrics = computeMetrics(matching, prefsA, prefsB, blockingPairs, settings.proposerSide, capacities);
+    
+    step('Analyzing the matching');
+    const analysis = analyzeMatching(matching, prefsA, prefsB, blockingPairs, metrics);
+    
+    step('Simulating suggestions');
+    const suggestions = generateSuggestions(matching, prefsA, prefsB, blockingPairs, analysis, {
+        stability: settings.notion,
+        proposerSide: settings.proposerSide,
+        capacities,
+        solve: createResolver(capacities, settings)
+    });
+    
+    return { blockingPairs, metrics, analysis, suggestions };
+}
+
+/**
+ * Create a function that re-solves edited preferences under the same
+ * settings as the matching being evaluated
+ * @param {Object|null} capacities - Places per group B member (null for one-to-one)
+ * @param {Object} settings - {notion, objective, proposerSide}
+ * @returns {Function} solve(prefsA, prefsB) returning a matching
+ */
+function createResolver(capacities, settings) {
+    const { notion = 'weak', objective = 'proposer', proposerSide = 'A' } = settings;
+    return (prefsA, prefsB) => capacities
+        ? runHospitalsResidents(prefsA, prefsB, capacities, proposerSide).matching
+        : solveForStability(prefsA, prefsB, notion, objective || 'proposer', proposerSide).matching;
+}
+
+/**
+ * Search for the fewest edits that make the solver match the target pairs
+ * @param {Object} instance - {prefsA, prefsB, capacities}
+ * @param {Array} pairs - Target pairs, as {a, b}
+ * @param {Object} settings - {notion, objective, proposerSide}
+ * @param {Function} step - Progress reporter from createStepper
+ * @returns {Object|null} Result of findTargetEdits
+ */
+function searchTargetEdits(instance, pairs, settings, step) {
+    const capacities = instance.capacities || null;
+    
+    step('Searching for edits');
+    return findTargetEdits(instance.prefsA, instance.prefsB, pairs, {
+        proposerSide: settings.proposerSide,
+        capacities,
+        solve: createResolver(capacities, settings)
+    });
+}
+
+/**
+ * Look for participants who get a better partner by misreporting, under
+ * the same settings as the solve
+ * @param {Object} instance - {prefsA, prefsB, capacities}
+ * @param {Object} settings - {notion, objective, proposerSide}
+ * @param {Function} step - Progress reporter from createStepper
+ * @returns {Array} Result of findManipulations
+ */
+function searchManipulations(instance, settings, step) {
+    const capacities = instance.capacities || null;
+    
+    step('Trying misreported preferences');
+    return findManipulations(instance.prefsA, instance.prefsB, {
+        proposerSide: settings.proposerSide,
+        capacities,
+        solve: createResolver(capacities, settings)
+    });
+}
+
+/**
+ * Solve a single pool with Irving's algorithm
+ * @param {Object} preferences - Preference lists for the pool
+ * @param {Function} step - Progress reporter from createStepper
+ * @returns {Object} Object with matching, oddParties, blockingPairs and metrics
+ */
+function solveRoommates(preferences, step) {
+    step('Solving');
+    const { matching, oddParties } = runIrvingRoommates(preferences);
+    
+    step('Finding blocking pairs');
+    const blockingPairs = findRoommateBlockingPairs(matching, preferences);
+    
+    step('Computing metrics');
+    const metrics = computeRoommateMetrics(matching, preferences, blockingPairs);
+    
+    return { matching, oddParties, blockingPairs, metrics };
+}
+
+/**
+ * Create a solver that runs pipeline requests off the main thread
+ *
+ * Only the latest request matters: starting a new one, or calling cancel(),
+ * terminates the run in progress and rejects its promise with an error
+ * named 'AbortError'. Without Worker support (or if the worker fails to
+ * load, e.g. from file://) requests run on the main thread instead.
+ * @param {URL|string} workerUrl - Location of the worker script
+ * @returns {Object} Solver with run(request, onProgress) returning a
+ *     promise of the result, cancel() and isBusy()
+ */
+export function createSolver(workerUrl = new URL('./solver-worker.js', import.meta.url)) {
+    let worker = null;
+    let workerFailed = typeof Worker === 'undefined';
+    let current = null;  // The request in progress: {id, request, onProgress, resolve, reject, timer}
+    let nextId = 1;
+    
+    const finish = (job, settle) => {
+        if (job !== current) return;
+        current = null;
+        settle();
+    };
+    
+    const runOnMainThread = job => {
+        // Yield first so the progress indicator can appear
+        job.timer = setTimeout(() => {
+            try {
+                const result = runPipeline(job.request, progress => {
+                    if (job === current) job.onProgress(progress);
+                });
+                finish(job, () => job.resolve(result));
+            } catch (error) {
+                finish(job, () => job.reject(error));
+            }
+        }, 0);
+    };
+    
+    const startWorker = () => {
+        try {
+            worker = new Worker(workerUrl, { type: 'module' });
+        } catch (error) {
+            console.warn('Solver worker unavailable, solving on the main thread:', error);
+            workerFailed = true;
+            return false;
+        }
+        
+        worker.addEventListener('message', ({ data }) => {
+            const job = current;
+            if (!job || data.id !== job.id) return;
+            if (data.type === 'progress') {
+                job.onProgress(data.progress);
+            } else if (data.type === 'result') {
+                finish(job, () => job.resolve(data.result));
+            } else if (data.type === 'error') {
+                const error = new Error(data.message);
+                finish(job, () => job.reject(error));
+            }
+        });
+        
+        // A worker that cannot load or crashes is replaced by the main thread
+        worker.addEventListener('error', event => {
+            event.preventDefault();
+            console.warn('Solver worker failed, solving on the main thread:', event.message);
+            worker.terminate();
+            worker = null;
+            workerFailed = true;
+            if (current) runOnMainThread(current);
+        });
+        return true;
+    };
+    
+    /**
+     * Stop the request in progress, if any
+     */
+    function cancel() {
+        if (!current) return;
+        const job = current;
+        current = null;
+        clearTimeout(job.timer);
+        
+        // A busy worker cannot read messages, so stop it outright
+        if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+        
+        const error = new Error('Solver request cancelled');
+        error.name = 'AbortError';
+        job.reject(error);
+    }
+    
+    /**
+     * Run a pipeline request, cancelling any earlier one
+     */
+    function run(request, onProgress = () => {}) {
+        cancel();
+        return new Promise((resolve, reject) => {
+            const job = { id: nextId++, request, onProgress, resolve, reject, timer: null };
+            current = job;
+            
+            if (!workerFailed && (worker || startWorker())) {
+                worker.postMessage({ id: job.id, request });
+            } else {
+                runOnMainThread(job);
+            }
+        });
+    }
+    
+    return { run, cancel, isBusy: () => current !== null };
+}